@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// Prints the dashboard's corpus summary for a results file, using the same metrics.js.
+//
+//   node evaluate.js evaluation_results_clean.json
+//   node evaluate.js runs/epoch_10.jsonl --format json --rules alef,tatweel,hamza
+//
+// --format table|json (default table); --rules takes rule ids, "default" or "none" and only
+// affects the normalized column. Entries the dashboard would reject are left out and listed on
+// stderr. Exits with 1 when the file cannot be read or has no results array.
+const fs = require('fs');
+const path = require('path');
+const { NORMALIZATION_RULES, TextNormalizer, parseResults, validateResults, summarizeResults } = require('./metrics.js');
+
+function parseArgs(argv) {
+    const options = { file: null, format: 'table', rules: 'default' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format') {
+            options.format = argv[++i];
+        } else if (arg === '--rules') {
+            options.rules = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (!options.file) {
+            options.file = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+    if (!['table', 'json'].includes(options.format)) {
+        throw new Error(`--format must be "table" or "json", got ${options.format}`);
+    }
+    return options;
+}
+
+function createNormalizer(rules) {
+    if (!rules || rules === 'default') return new TextNormalizer();
+    if (rules === 'none') return new TextNormalizer([]);
+
+    const ruleIds = rules.split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ruleIds.filter(id => !NORMALIZATION_RULES.some(rule => rule.id === id));
+    if (unknown.length) {
+        throw new Error(`Unknown normalization rules: ${unknown.join(', ')} (known: ${NORMALIZATION_RULES.map(rule => rule.id).join(', ')})`);
+    }
+    return new TextNormalizer(ruleIds);
+}
+
+// Parsed and checked by the same code as the dashboard, so both count the same samples
+function readResults(file) {
+    const { data, parser } = parseResults(fs.readFileSync(file, 'utf8'), {
+        name: file,
+        jsonLines: /\.(jsonl|ndjson)$/i.test(file)
+    });
+    const { info, results, validator } = validateResults(data, parser);
+
+    validator.issues.forEach(issue => console.error(`${file}: ${issue.severity} at ${issue.location}: ${issue.message}`));
+    return { data: { ...info, results }, rejected: validator.rejected };
+}
+
+function formatPercent(rate) {
+    return rate === null || rate === undefined ? '-' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function formatTable(summary, file) {
+    const rows = [
+        ['WER', formatPercent(summary.raw.wer), formatPercent(summary.normalized.wer)],
+        ['CER', formatPercent(summary.raw.cer), formatPercent(summary.normalized.cer)],
+        ['Substitutions', summary.raw.substitutions, summary.normalized.substitutions],
+        ['Insertions', summary.raw.insertions, summary.normalized.insertions],
+        ['Deletions', summary.raw.deletions, summary.normalized.deletions],
+        ['Reference words', summary.raw.refWords, summary.normalized.refWords],
+        ['Letter error rate', formatPercent(summary.raw.diacritics.letterErrorRate), formatPercent(summary.normalized.diacritics.letterErrorRate)],
+        ['Diacritic error rate', formatPercent(summary.raw.diacritics.diacriticErrorRate), formatPercent(summary.normalized.diacritics.diacriticErrorRate)]
+    ];
+    const widths = [20, 12, 12];
+    const line = cells => cells.map((cell, index) => String(cell)[index ? 'padStart' : 'padEnd'](widths[index])).join('  ');
+
+    return [
+        `Results:      ${file}`,
+        `Checkpoint:   ${summary.modelCheckpoint || '-'}`,
+        `Samples:      ${summary.samples}`,
+        `Rejected:     ${summary.rejected}`,
+        `Reported WER: ${formatPercent(summary.reportedWer)}`,
+        `Rules:        ${summary.normalizationRules.join(', ') || 'none'}`,
+        '',
+        line(['', 'Raw', 'Normalized']),
+        ...rows.map(line)
+    ].join('\n');
+}
+
+function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help || !options.file) {
+        console.log('Usage: node evaluate.js <results.json|results.jsonl> [--format table|json] [--rules default|none|id,id,...]');
+        return options.help ? 0 : 1;
+    }
+
+    const { data, rejected } = readResults(options.file);
+    const summary = { ...summarizeResults(data, createNormalizer(options.rules)), rejected };
+    console.log(options.format === 'json'
+        ? JSON.stringify({ file: path.basename(options.file), ...summary }, null, 2)
+        : formatTable(summary, options.file));
+    return 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    console.error(`evaluate.js: ${error.message}`);
+    process.exitCode = 1;
+}
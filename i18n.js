@@ -0,0 +1,979 @@
+// Interface strings in English and Arabic with no DOM dependencies. The dashboard loads it as
+// window.EvaluationI18n before script.js; Node requires it (see tests/i18n.test.js).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.EvaluationI18n = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const LANGUAGES = [
+        { id: 'en', name: 'English', dir: 'ltr' },
+        { id: 'ar', name: 'العربية', dir: 'rtl' }
+    ];
+
+    // Keys are grouped by the part of the page they label. {name} placeholders are filled in by
+    // Translator.t(); entries that depend on a {count} are objects keyed by Intl.PluralRules category.
+    // Arrows point the way the layout runs, so the Arabic catalog mirrors them.
+    const CATALOGS = {
+        en: {
+            'app.title': 'Audio Model Evaluation Dashboard',
+            'app.documentTitle': '{model} · Audio Model Evaluation Dashboard',
+            'app.scriptNote': '⚠️ Note: Many of the apparent mismatches are due to orthographic differences between scripts. The Ground Truth is written in the Uthmānī script (with extended marks and contextual diacritics), while the Model Predictions are rendered in a standardized I‘thmānī/Unicode style. These differences (e.g., small letters, alternate diacritic encodings) are stylistic and do not indicate transcription errors.',
+
+            'nav.loadingModel': 'Loading model…',
+            'nav.larger': 'Larger',
+            'nav.largerTitle': 'Increase font size',
+            'nav.smaller': 'Smaller',
+            'nav.smallerTitle': 'Decrease font size',
+            'nav.results': 'Results',
+            'nav.resultsTitle': 'Open a results JSON or JSON Lines file from disk',
+            'nav.audio': 'Audio',
+            'nav.audioTitle': 'Choose a folder of WAV files',
+            'nav.gridView': 'Grid view',
+            'nav.listView': 'List view',
+            'nav.samples': 'Samples',
+            'nav.samplesTitle': 'Sample cards',
+            'nav.insights': 'Insights',
+            'nav.insightsTitle': 'Corpus-wide error summary',
+            'nav.raw': 'Raw',
+            'nav.rawTitle': 'Compare texts exactly as written',
+            'nav.normalized': 'Normalized',
+            'nav.normalizedTitle': 'Compare texts after orthography normalization',
+            'nav.keys': 'Keys',
+            'nav.keysTitle': 'Keyboard shortcuts (?)',
+            'nav.dark': 'Dark',
+            'nav.darkTitle': 'Switch to dark mode',
+            'nav.light': 'Light',
+            'nav.lightTitle': 'Switch to light mode',
+            'nav.language': 'Interface language',
+
+            'count.samples': { one: '{count} sample', other: '{count} samples' },
+
+            'stats.totalSamples': 'Total Samples',
+            'stats.corpusWer': 'Corpus WER (computed)',
+            'stats.werComparison': 'WER (raw / normalized)',
+            'stats.cerComparison': 'CER (raw / normalized)',
+            'stats.edits': 'Edits (S / I / D)',
+            'stats.reviewed': 'Reviewed',
+            'stats.status': 'Status',
+            'stats.filteredFrom': 'Filtered from {count}',
+            'stats.rejected': '⚠️ {count} rejected',
+            'stats.reportedMissing': 'File: not reported',
+            'stats.reportedMatch': 'File: {reported} ✓',
+            'stats.reportedMismatch': '⚠️ File reports {reported}, computed {computed}',
+            'stats.reportedMatchAll': 'File: {reported} (all samples) ✓',
+            'stats.reportedMismatchAll': '⚠️ File reports {reported} (all samples), computed {computed}',
+            'stats.interval': '{confidence} CI {lower} – {upper} ({mode})',
+            'stats.intervalTitle': 'Bootstrap interval: {iterations} resamples of the samples in view, each scored as total edits over total reference length',
+
+            'status.ready': 'Ready',
+            'status.error': 'Error',
+            'status.loading': 'Loading…',
+            'status.loadingPercent': 'Loading {percent}%',
+
+            'loading.text': 'Loading evaluation data…',
+            'loading.progress': 'Loading evaluation data… {details}',
+            'loading.size': '{loaded} of {total}',
+
+            'error.default': 'Failed to load data. Please refresh the page.',
+            'error.retry': 'Retry',
+            'error.openFile': 'Open results file',
+            'error.loadFailed': 'Failed to load evaluation data.',
+            'error.timeout': 'Request timed out after {seconds} s without data. Check your connection or raise the load timeout under Evaluation runs.',
+            'error.network': 'Network error. Please check your connection and try again.',
+            'error.notFound': 'Data file not found. Please check if the file exists.',
+            'error.invalidFormat': 'Invalid data format. Please check the JSON file.',
+            'error.fromDisk': 'Opened from disk: choose a results JSON file (and optionally a folder of WAV files) or drop them onto the page.',
+            'error.offline': 'You are offline. Please check your connection.',
+            'offline.offline': 'Offline',
+            'offline.offlineTitle': 'Loaded samples and audio you have already played keep working; other audio will not play until the connection is back.',
+            'offline.cached': 'Offline · results saved {time}',
+            'offline.cachedOnline': 'Cached results from {time}',
+            'offline.cachedTitle': 'The results server could not be reached, so the copy saved in this browser is shown. Reload once it is reachable to fetch the live file.',
+            'error.retriesExhausted': 'Failed to load data after multiple attempts. Please refresh the page.',
+            'error.init': 'Failed to initialize the application. Please refresh the page.',
+
+            'source.localAudio': { one: '{count} local audio file', other: '{count} local audio files' },
+            'source.openFailed': 'Could not open {file}: {message}',
+            'source.nothingFound': 'No results JSON or WAV files found in the selection',
+
+            'runInfo.panel': 'Model and run details',
+            'runInfo.unknownModel': 'Unknown model',
+            'runInfo.epochShort': 'epoch {epoch}',
+            'runInfo.valWerShort': 'val WER {wer}',
+            'runInfo.baseModelShort': 'base {model}',
+            'runInfo.checkpoint': 'Checkpoint',
+            'runInfo.baseModel': 'Base model',
+            'runInfo.experiment': 'Experiment',
+            'runInfo.runStarted': 'Run started',
+            'runInfo.epoch': 'Epoch',
+            'runInfo.step': 'Step',
+            'runInfo.validationWer': 'Validation WER',
+            'runInfo.ema': 'EMA weights',
+            'runInfo.samplesInDataset': 'Samples in dataset',
+            'runInfo.samplesEvaluated': 'Samples evaluated',
+            'runInfo.samplesSkipped': 'Samples skipped',
+            'common.yes': 'Yes',
+            'common.no': 'No',
+            'common.close': 'Close',
+            'common.arrow': '→',
+            'common.points': '{value} pts',
+
+            'runs.panel': 'Evaluation runs',
+            'runs.urlPlaceholder': 'Results file URL to compare, e.g. runs/epoch_10.json or .jsonl',
+            'runs.add': 'Add run',
+            'runs.fromFile': 'From file',
+            'runs.fromFileTitle': 'Add results files from disk as comparison runs',
+            'runs.loadTimeout': 'Load timeout',
+            'runs.loadTimeoutHint': 'seconds without data (0 = no limit)',
+            'runs.loading': 'Loading {url}…',
+            'runs.loadFailed': 'Could not load {url}: {message}',
+            'runs.rejected': '{count} rejected',
+            'runs.rejectedTitle': 'Entries left out by validation',
+            'runs.primary': 'Primary',
+            'runs.remove': 'Remove run',
+            'runs.improved': '▼ {count} improved',
+            'runs.regressed': '▲ {count} regressed',
+            'runs.unchanged': '= {count} unchanged',
+            'runs.missing': '{count} not in run',
+            'significance.computing': 'Testing significance…',
+            'significance.unavailable': 'Significance tests need Web Workers, which are unavailable here (pages opened from disk cannot start them).',
+            'significance.noShared': 'no shared samples to compare',
+            'significance.difference': 'Δ {difference} ({confidence} CI {lower} to {upper})',
+            'significance.bootstrap': 'paired bootstrap p = {p}',
+            'significance.sign': 'sign test p = {p} ({better} better, {worse} worse)',
+            'significance.improved': 'Significantly better',
+            'significance.regressed': 'Significantly worse',
+            'significance.none': 'No significant difference',
+            'significance.title': '{other} minus {base} on the samples both runs share ({mode} text), resampled {iterations} times',
+            'runs.otherRuns': 'Other Runs',
+            'runs.notInThisRun': 'not in this run',
+            'change.improved': '▼ improved',
+            'change.regressed': '▲ regressed',
+            'change.unchanged': '= unchanged',
+
+            'validation.panel': 'Results validation',
+            'validation.summary': '{source}: {shown} entries shown, {rejected} rejected · {errors} errors, {warnings} warnings',
+            'validation.clean': '{source}: all {count} entries passed validation',
+            'validation.rejected': 'Rejected',
+            'validation.warning': 'Warning',
+            'validation.more': '…and {count} more',
+
+            'review.panel': 'Review annotations',
+            'review.export': 'Export annotations',
+            'review.import': 'Import annotations',
+            'review.storageNote': 'Annotations are saved in this browser and keyed by each sample\'s path.',
+            'review.imported': 'Imported {count} annotations from {file}',
+            'review.importFailed': 'Could not import {file}: {message}',
+            'review.heading': 'Review',
+            'review.verdictGroup': 'Review verdict',
+            'review.note': 'Note',
+            'review.notePlaceholder': 'Reviewer note…',
+            'verdict.correct': 'Correct',
+            'verdict.stylistic': 'Stylistic only',
+            'verdict.error': 'Recognition error',
+            'verdict.bad-reference': 'Bad reference/audio',
+
+            'diacritics.panel': 'Diacritic analysis',
+            'diacritics.intro': 'Each word is split into its base letters and the marks on them. Letter errors come from aligning the letters; diacritic errors compare the marks on letters that line up.',
+            'diacritics.droppedNote': 'The "Drop all diacritics" rule is on, so there is nothing to compare in normalized mode.',
+            'diacritics.letterRate': 'Letter error rate {rate}',
+            'diacritics.letterRateTitle': 'Base-letter skeleton edits over reference letters',
+            'diacritics.diacriticRate': 'Diacritic error rate {rate}',
+            'diacritics.diacriticRateTitle': 'Letters whose marks differ, over letters that line up in both texts',
+            'diacritics.letterErrors': '{errors} / {total} letter errors',
+            'diacritics.diacriticErrors': '{errors} / {total} diacritic errors',
+            'diacritics.noLetters': 'No aligned letters to compare.',
+            'diacritics.corner': 'Reference ↓ / Predicted →',
+            'diacritics.cellTitle': '{reference} → {predicted}: {count} ({share} of row)',
+            'diacritics.topConfusions': 'Most frequent confusions',
+            'diacritics.noConfusions': 'No diacritic confusions in the current view.',
+            'mark.none': 'none',
+            'mark.separator': ' + ',
+
+            'text.raw': 'raw',
+            'text.normalized': 'normalized',
+            'text.rawMode': 'Raw text',
+            'text.normalizedMode': 'Normalized text',
+
+            'quality.panel': 'Audio quality',
+            'quality.intro': 'WAV files are analyzed in the browser for duration, sample rate, level, clipping and silence at either end. Cards are analyzed as they are shown; the chart covers the samples matching the current filters.',
+            'quality.analyzeAll': 'Analyze all samples',
+            'quality.analyzeAllTitle': 'Fetch and analyze every sample in the current view',
+            'quality.plotAgainst': 'Plot WER against',
+            'quality.measure.rmsDb': 'RMS level',
+            'quality.measure.peakDb': 'Peak level',
+            'quality.measure.clippingRatio': 'Clipped samples',
+            'quality.measure.duration': 'Duration',
+            'quality.measure.leadingSilence': 'Leading silence',
+            'quality.measure.trailingSilence': 'Trailing silence',
+            'quality.measure.sampleRate': 'Sample rate',
+            'quality.axis.rmsDb': 'RMS level (dBFS)',
+            'quality.axis.peakDb': 'Peak level (dBFS)',
+            'quality.axis.clippingRatio': 'Clipped samples (%)',
+            'quality.axis.duration': 'Duration (s)',
+            'quality.axis.leadingSilence': 'Leading silence (s)',
+            'quality.axis.trailingSilence': 'Trailing silence (s)',
+            'quality.axis.sampleRate': 'Sample rate (Hz)',
+            'quality.status': '{analyzed} of {count} samples in view analyzed',
+            'quality.statusFailed': ' · {count} could not be decoded',
+            'quality.statusPending': ' · {count} not analyzed yet',
+            'quality.noPoints': 'Analyze samples to plot their audio against WER.',
+            'quality.issue': 'Issue',
+            'quality.samples': 'Samples',
+            'quality.meanWith': 'Mean WER with',
+            'quality.meanWithout': 'Mean WER without',
+            'quality.noIssues': 'No clipping, silence, level or format problems found in the analyzed samples.',
+            'quality.scatterLabel': 'WER against {measure}',
+            'quality.scatterFooter': '{samples} · Pearson r = {r} · orange points have a flagged issue; click a point to open it',
+            'quality.analyzing': 'Analyzing audio…',
+            'quality.notAnalyzed': 'Audio not analyzed',
+            'quality.durationTitle': 'Duration',
+            'quality.formatTitle': 'Sample rate, channels and sample format',
+            'quality.levelTitle': 'RMS level / peak level',
+            'quality.level': 'RMS {rms} · peak {peak}',
+            'quality.mono': 'mono',
+            'quality.stereo': 'stereo',
+            'quality.channels': '{count} ch',
+            'quality.bits': '{bits}-bit',
+            'quality.issue.clipping': 'Clipping',
+            'quality.issue.leadingSilence': 'Long leading silence',
+            'quality.issue.trailingSilence': 'Long trailing silence',
+            'quality.issue.sampleRate': 'Unexpected sample rate',
+            'quality.issue.multichannel': 'More than one channel',
+            'quality.issue.quiet': 'Low level',
+            'quality.issue.short': 'Very short',
+            'quality.badge.clipping': 'Clipping {percent}',
+            'quality.badge.leadingSilence': '{seconds} s silence at start',
+            'quality.badge.trailingSilence': '{seconds} s silence at end',
+            'quality.badge.sampleRate': '{rate} Hz',
+            'quality.badge.multichannel': '{count} channels',
+            'quality.badge.quiet': 'Low level',
+            'quality.badge.short': 'Very short',
+            'quality.badgeTitle.clipping': '{count} samples at full scale',
+            'quality.badgeTitle.leadingSilence': 'Quieter than {db} dBFS',
+            'quality.badgeTitle.trailingSilence': 'Quieter than {db} dBFS',
+            'quality.badgeTitle.sampleRate': 'Expected {rate} Hz',
+            'quality.badgeTitle.multichannel': 'Expected mono',
+            'quality.badgeTitle.quiet': 'RMS below {db} dBFS',
+            'quality.badgeTitle.short': 'Shorter than {seconds} s',
+
+            'export.panel': 'Export report',
+            'export.csv': 'Samples CSV',
+            'export.csvTitle': 'One row per sample, for spreadsheets',
+            'export.json': 'Samples JSON',
+            'export.jsonTitle': 'Summary plus per-sample metrics and verdicts',
+            'export.html': 'HTML report',
+            'export.htmlTitle': 'Standalone page with the summary and highlighted diffs',
+            'export.note': 'Exports cover the samples matching the current filters, in the current sort order.',
+            'export.nothing': 'Nothing to export: no samples match the current filters.',
+            'export.done': 'Exported {samples} as {format}',
+
+            'report.title': '{run} · Evaluation report',
+            'report.defaultRun': 'Evaluation results',
+            'report.meta': 'Generated {date} · {filters} · {shown} of {total} samples · diffs use {mode} text',
+            'report.corpusWer': 'Corpus WER',
+            'report.corpusCer': 'Corpus CER',
+            'report.reviewed': 'Reviewed {reviewed} of {count}',
+            'report.sampleHeading': '#{position} · Sample {id}',
+            'report.metrics': 'WER {wer} · CER {cer} · S {substitutions} · I {insertions} · D {deletions}',
+
+            'display.panel': 'Text display',
+            'display.font': 'Arabic font',
+            'display.showHarakat': 'Show harakat',
+            'display.colorHarakat': 'Color harakat separately',
+            'display.note': 'These settings only change how card and dialog texts are drawn; metrics, search and exports always use the full text.',
+            'font.system': 'Interface font',
+            'font.amiriQuran': 'Amiri Quran',
+            'font.scheherazade': 'Scheherazade New',
+            'font.notoNaskh': 'Noto Naskh Arabic',
+
+            'normalization.panel': 'Text normalization rules',
+
+            'filters.searchPlaceholder': 'Search ground truth and prediction…',
+            'filters.ignoreHarakat': 'Ignore harakat',
+            'filters.normalizeHamza': 'Normalize hamza/alef',
+            'filters.wer': 'WER',
+            'filters.werMin': 'Minimum WER',
+            'filters.werMax': 'Maximum WER',
+            'filters.all': 'All',
+            'filters.exact': 'Only exact matches',
+            'filters.errors': 'Only errors',
+            'filters.has': 'Has',
+            'filters.clear': 'Clear filters',
+            'filters.showing': 'Showing',
+            'filters.showAll': 'Show all samples',
+            'filters.focusLabel': '{label} ({samples})',
+            'filters.linkedSamples': 'Linked samples',
+            'filters.describe.all': 'All samples',
+            'filters.describe.search': 'search "{query}"',
+            'filters.describe.wer': 'WER {min}%–{max}',
+            'filters.describe.exact': 'exact matches only',
+            'filters.describe.errors': 'errors only',
+            'filters.describe.has': 'has {types}',
+            'filters.describe.or': ' or ',
+            'filters.describe.substitutions': 'substitutions',
+            'filters.describe.insertions': 'insertions',
+            'filters.describe.deletions': 'deletions',
+
+            'sort.label': 'Sort by',
+            'sort.original': 'Original order',
+            'sort.sampleId': 'Sample ID',
+            'sort.wer': 'WER',
+            'sort.length': 'Length (reference words)',
+            'sort.errors': 'Error count',
+            'sort.shuffle': 'Seeded shuffle (blind review)',
+            'sort.directionTitle': 'Toggle sort direction',
+            'sort.desc': '↓ Desc',
+            'sort.asc': '↑ Asc',
+            'sort.seed': 'Seed',
+            'sort.newSeed': 'Pick a new random seed',
+            'pageSize.label': 'Show',
+            'pageSize.perPage': '{count} per page',
+            'pageSize.scroll': 'Continuous scroll',
+            'playback.speed': 'Speed',
+            'playback.speedLabel': 'Playback speed',
+            'common.seconds': '{count} s',
+
+            'cards.feedLabel': 'Samples',
+            'cards.empty': 'No samples match the current filters.',
+            'cards.label': '{sample}, WER {wer}',
+            'sample.name': 'Sample {id}',
+            'sample.groundTruth': 'Ground Truth',
+            'sample.prediction': 'Model Prediction',
+            'audio.unsupported': 'Your browser does not support the audio element.',
+
+            'metric.wer': 'Word Error Rate',
+            'metric.cer': 'Character Error Rate',
+            'metric.letterRate': 'Letter Error Rate',
+            'metric.diacriticRate': 'Diacritic Error Rate',
+            'metric.substitutions': 'Substitutions',
+            'metric.insertions': 'Insertions',
+            'metric.deletions': 'Deletions',
+            'metric.refWords': 'Reference Words',
+            'metric.badge.substitutions': 'S {count}',
+            'metric.badge.insertions': 'I {count}',
+            'metric.badge.deletions': 'D {count}',
+
+            'diff.substitution': 'Substitution',
+            'diff.deletion': 'Deletion',
+            'diff.insertion': 'Insertion',
+            'diff.predicted': 'Predicted: {word}',
+            'diff.expected': 'Expected: {word}',
+            'diff.missingFromPrediction': 'Missing from prediction',
+            'diff.missing': 'Missing: {word}',
+            'diff.inserted': 'Inserted: {word}',
+            'diff.notInReference': 'Not in ground truth',
+
+            'insights.title': 'Corpus insights',
+            'insights.summary': '{samples} · {errors} word errors ({substitutions} substitutions, {deletions} deletions, {insertions} insertions) · {mode} text',
+            'insights.pairs': 'Top confusion pairs',
+            'insights.missed': 'Most-missed reference words',
+            'insights.substituted': 'Most substituted',
+            'insights.deleted': 'Most deleted',
+            'insights.inserted': 'Most inserted',
+            'insights.empty': 'Nothing here.',
+            'insights.rateTitle': 'Missed occurrences / occurrences in the references',
+            'insights.openSample': 'Open sample {id}',
+            'insights.show': 'Show {count}',
+            'insights.showTitle': 'Show these samples in the list',
+
+            'pagination.page': 'Page {page} of {total}',
+            'pagination.showing': { one: 'Showing {start}-{end} of {count} sample', other: 'Showing {start}-{end} of {count} samples' },
+            'pagination.none': 'No samples match the current filters',
+            'pagination.previous': '← Previous',
+            'pagination.next': 'Next →',
+
+            'modal.title': 'Sample Analysis',
+            'modal.sampleTitle': 'Sample {id} Analysis (#{position} of {total})',
+            'modal.audio': 'Sample audio',
+            'modal.loop': 'Loop selection',
+            'modal.loopTitle': 'Loops the selected region, or the whole clip when nothing is selected',
+            'modal.replay': 'Replay (R)',
+            'modal.replayTitle': 'Press R to jump back and replay',
+            'modal.reviewGap': 'Pause between',
+            'modal.errorMetrics': 'Error Metrics',
+            'modal.previousSample': 'Previous sample',
+            'modal.nextSample': 'Next sample',
+            'modal.previous': '← Previous',
+            'modal.next': 'Next →',
+            'continuous.start': '▶ Continuous review',
+            'continuous.stop': '■ Stop review',
+            'continuous.playing': 'Continuous review: playing',
+            'continuous.finished': 'Continuous review finished: reached the last sample',
+            'continuous.nextIn': 'Next sample in {seconds}s…',
+            'waveform.hint': 'Click to seek, drag to select a region',
+            'waveform.selection': 'Selection {start}s – {end}s ({length}s)',
+            'waveform.clear': 'Clear selection',
+            'waveform.spectrogram': 'Log-mel spectrogram',
+            'waveform.decoding': 'Decoding audio…',
+            'waveform.unsupported': 'Waveform unavailable: Web Audio API is not supported in this browser.',
+            'waveform.failed': 'Waveform unavailable for this file.',
+
+            'shortcuts.title': 'Keyboard shortcuts',
+            'shortcuts.scope.list': 'Sample list',
+            'shortcuts.scope.detail': 'Detail view',
+            'shortcuts.scope.review': 'Review',
+            'shortcuts.scope.anywhere': 'Anywhere',
+            'shortcuts.nextPreviousCard': 'Next / previous sample card',
+            'shortcuts.openCard': 'Open the focused card',
+            'shortcuts.playCard': 'Play or pause the focused card',
+            'shortcuts.nextPreviousPage': 'Next / previous page',
+            'shortcuts.firstLast': 'First / last sample',
+            'shortcuts.search': 'Search',
+            'shortcuts.nextSample': 'Next sample',
+            'shortcuts.previousSample': 'Previous sample',
+            'shortcuts.play': 'Play or pause',
+            'shortcuts.close': 'Close',
+            'shortcuts.verdict': 'Set verdict: {verdicts}',
+            'shortcuts.replay': 'Replay the last few seconds',
+            'shortcuts.fontSize': 'Larger / smaller text',
+            'shortcuts.toggle': 'Show or hide this list',
+
+            'announce.view': { one: '{shown} of {count} sample shown. Corpus WER {wer}.', other: '{shown} of {count} samples shown. Corpus WER {wer}.' },
+            'announce.page': 'Page {page} of {total}. {items}',
+            'announce.sample': '{sample}, {position} of {total}. WER {wer}, CER {cer}.',
+            'announce.verdictSet': '{sample}: marked {verdict}',
+            'announce.verdictCleared': '{sample}: verdict cleared',
+            'announce.textMode': 'Comparing {mode} text. Corpus WER {wer}.',
+            'announce.language': 'Interface language: English',
+
+            'drop.message': 'Drop a results JSON and/or a folder of WAV files'
+        },
+
+        ar: {
+            'app.title': 'لوحة تقييم نموذج التعرف على الكلام',
+            'app.documentTitle': '{model} · لوحة تقييم نموذج التعرف على الكلام',
+            'app.scriptNote': '⚠️ ملاحظة: كثير من الاختلافات الظاهرة سببها فروق إملائية بين الرسمين. النص المرجعي مكتوب بالرسم العثماني (بعلاماته الإضافية وتشكيله السياقي)، أما مخرجات النموذج فمكتوبة برسم إملائي موحّد وفق ترميز يونيكود. هذه الفروق (كالحروف الصغيرة واختلاف ترميز الحركات) شكلية ولا تعني خطأً في التفريغ.',
+
+            'nav.loadingModel': 'جارٍ تحميل النموذج…',
+            'nav.larger': 'تكبير',
+            'nav.largerTitle': 'تكبير حجم الخط',
+            'nav.smaller': 'تصغير',
+            'nav.smallerTitle': 'تصغير حجم الخط',
+            'nav.results': 'النتائج',
+            'nav.resultsTitle': 'فتح ملف نتائج بصيغة JSON أو JSON Lines من الجهاز',
+            'nav.audio': 'الصوت',
+            'nav.audioTitle': 'اختيار مجلد ملفات WAV',
+            'nav.gridView': 'عرض شبكي',
+            'nav.listView': 'عرض قائمة',
+            'nav.samples': 'العينات',
+            'nav.samplesTitle': 'بطاقات العينات',
+            'nav.insights': 'الإحصاءات',
+            'nav.insightsTitle': 'ملخص الأخطاء على مستوى المدوّنة كلها',
+            'nav.raw': 'خام',
+            'nav.rawTitle': 'مقارنة النصوص كما كُتبت تمامًا',
+            'nav.normalized': 'مُوحَّد',
+            'nav.normalizedTitle': 'مقارنة النصوص بعد توحيد الإملاء',
+            'nav.keys': 'المفاتيح',
+            'nav.keysTitle': 'اختصارات لوحة المفاتيح (?)',
+            'nav.dark': 'داكن',
+            'nav.darkTitle': 'التبديل إلى الوضع الداكن',
+            'nav.light': 'فاتح',
+            'nav.lightTitle': 'التبديل إلى الوضع الفاتح',
+            'nav.language': 'لغة الواجهة',
+
+            'count.samples': {
+                zero: '{count} عينة',
+                one: 'عينة واحدة',
+                two: 'عينتان',
+                few: '{count} عينات',
+                many: '{count} عينة',
+                other: '{count} عينة'
+            },
+
+            'stats.totalSamples': 'إجمالي العينات',
+            'stats.corpusWer': 'WER للمدوّنة (محسوب)',
+            'stats.werComparison': 'WER (خام / موحَّد)',
+            'stats.cerComparison': 'CER (خام / موحَّد)',
+            'stats.edits': 'التعديلات (استبدال / إدراج / حذف)',
+            'stats.reviewed': 'تمت مراجعته',
+            'stats.status': 'الحالة',
+            'stats.filteredFrom': 'مُصفّاة من {count}',
+            'stats.rejected': '⚠️ مرفوض: {count}',
+            'stats.reportedMissing': 'الملف: غير مذكور',
+            'stats.reportedMatch': 'الملف: {reported} ✓',
+            'stats.reportedMismatch': '⚠️ الملف يذكر {reported}، والمحسوب {computed}',
+            'stats.reportedMatchAll': 'الملف: {reported} (كل العينات) ✓',
+            'stats.reportedMismatchAll': '⚠️ الملف يذكر {reported} (كل العينات)، والمحسوب {computed}',
+            'stats.interval': 'فترة ثقة {confidence}: {lower} – {upper} ({mode})',
+            'stats.intervalTitle': 'فترة bootstrap: {iterations} إعادة معاينة للعينات المعروضة، تُحسب كل منها كمجموع الأخطاء على مجموع طول المرجع',
+
+            'status.ready': 'جاهز',
+            'status.error': 'خطأ',
+            'status.loading': 'جارٍ التحميل…',
+            'status.loadingPercent': 'جارٍ التحميل {percent}%',
+
+            'loading.text': 'جارٍ تحميل بيانات التقييم…',
+            'loading.progress': 'جارٍ تحميل بيانات التقييم… {details}',
+            'loading.size': '{loaded} من {total}',
+
+            'error.default': 'تعذّر تحميل البيانات. يُرجى تحديث الصفحة.',
+            'error.retry': 'إعادة المحاولة',
+            'error.openFile': 'فتح ملف نتائج',
+            'error.loadFailed': 'تعذّر تحميل بيانات التقييم.',
+            'error.timeout': 'انتهت مهلة الطلب بعد {seconds} ثانية دون وصول بيانات. تحقّق من الاتصال أو ارفع مهلة التحميل في قسم «جولات التقييم».',
+            'error.network': 'خطأ في الشبكة. تحقّق من الاتصال ثم أعد المحاولة.',
+            'error.notFound': 'لم يُعثر على ملف البيانات. تحقّق من وجود الملف.',
+            'error.invalidFormat': 'صيغة البيانات غير صالحة. تحقّق من ملف JSON.',
+            'error.fromDisk': 'فُتحت الصفحة من الجهاز: اختر ملف نتائج JSON (ومجلد ملفات WAV إن شئت) أو أفلتهما على الصفحة.',
+            'error.offline': 'أنت غير متصل بالإنترنت. تحقّق من الاتصال.',
+            'offline.offline': 'غير متصل',
+            'offline.offlineTitle': 'تبقى العينات المحمّلة والمقاطع التي شغّلتها سابقًا متاحة؛ أما المقاطع الأخرى فلن تُشغَّل حتى يعود الاتصال.',
+            'offline.cached': 'غير متصل · نتائج محفوظة في {time}',
+            'offline.cachedOnline': 'نتائج محفوظة من {time}',
+            'offline.cachedTitle': 'تعذّر الوصول إلى خادم النتائج، فتُعرض النسخة المحفوظة في هذا المتصفح. أعد تحميل الصفحة عند توفّره لجلب الملف الحالي.',
+            'error.retriesExhausted': 'تعذّر تحميل البيانات بعد عدة محاولات. يُرجى تحديث الصفحة.',
+            'error.init': 'تعذّر تشغيل التطبيق. يُرجى تحديث الصفحة.',
+
+            'source.localAudio': {
+                zero: 'لا ملفات صوتية محلية',
+                one: 'ملف صوتي محلي واحد',
+                two: 'ملفان صوتيان محليان',
+                few: '{count} ملفات صوتية محلية',
+                many: '{count} ملفًا صوتيًا محليًا',
+                other: '{count} ملف صوتي محلي'
+            },
+            'source.openFailed': 'تعذّر فتح {file}: {message}',
+            'source.nothingFound': 'لا توجد ملفات نتائج JSON ولا ملفات WAV في التحديد',
+
+            'runInfo.panel': 'تفاصيل النموذج والجولة',
+            'runInfo.unknownModel': 'نموذج غير معروف',
+            'runInfo.epochShort': 'الحقبة {epoch}',
+            'runInfo.valWerShort': 'WER التحقق {wer}',
+            'runInfo.baseModelShort': 'الأساس {model}',
+            'runInfo.checkpoint': 'نقطة الحفظ',
+            'runInfo.baseModel': 'النموذج الأساسي',
+            'runInfo.experiment': 'التجربة',
+            'runInfo.runStarted': 'بدء التدريب',
+            'runInfo.epoch': 'الحقبة',
+            'runInfo.step': 'الخطوة',
+            'runInfo.validationWer': 'WER على بيانات التحقق',
+            'runInfo.ema': 'أوزان EMA',
+            'runInfo.samplesInDataset': 'العينات في مجموعة البيانات',
+            'runInfo.samplesEvaluated': 'العينات المقيَّمة',
+            'runInfo.samplesSkipped': 'العينات المتخطّاة',
+            'common.yes': 'نعم',
+            'common.no': 'لا',
+            'common.close': 'إغلاق',
+            'common.arrow': '←',
+            'common.points': '{value} نقطة',
+
+            'runs.panel': 'جولات التقييم',
+            'runs.urlPlaceholder': 'رابط ملف نتائج للمقارنة، مثل runs/epoch_10.json أو ‎.jsonl',
+            'runs.add': 'إضافة جولة',
+            'runs.fromFile': 'من ملف',
+            'runs.fromFileTitle': 'إضافة ملفات نتائج من الجهاز كجولات للمقارنة',
+            'runs.loadTimeout': 'مهلة التحميل',
+            'runs.loadTimeoutHint': 'ثانية دون وصول بيانات (0 = بلا حد)',
+            'runs.loading': 'جارٍ تحميل {url}…',
+            'runs.loadFailed': 'تعذّر تحميل {url}: {message}',
+            'runs.rejected': 'مرفوض: {count}',
+            'runs.rejectedTitle': 'مدخلات استبعدها التحقق',
+            'runs.primary': 'الأساسية',
+            'runs.remove': 'إزالة الجولة',
+            'runs.improved': '▼ تحسّن: {count}',
+            'runs.regressed': '▲ تراجع: {count}',
+            'runs.unchanged': '= بلا تغيير: {count}',
+            'runs.missing': 'غير موجود في الجولة: {count}',
+            'significance.computing': 'جارٍ اختبار الدلالة…',
+            'significance.unavailable': 'تحتاج اختبارات الدلالة إلى Web Workers، وهي غير متاحة هنا (الصفحات المفتوحة من الجهاز لا تستطيع تشغيلها).',
+            'significance.noShared': 'لا عينات مشتركة للمقارنة',
+            'significance.difference': 'الفرق {difference} (فترة ثقة {confidence}: {lower} إلى {upper})',
+            'significance.bootstrap': 'bootstrap مزدوج p = {p}',
+            'significance.sign': 'اختبار الإشارة p = {p} (أفضل في {better}، أسوأ في {worse})',
+            'significance.improved': 'أفضل بدلالة إحصائية',
+            'significance.regressed': 'أسوأ بدلالة إحصائية',
+            'significance.none': 'لا فرق ذو دلالة',
+            'significance.title': '{other} ناقص {base} على العينات المشتركة بين التشغيلين (نص {mode})، بإعادة معاينة {iterations} مرة',
+            'runs.otherRuns': 'الجولات الأخرى',
+            'runs.notInThisRun': 'غير موجودة في هذه الجولة',
+            'change.improved': '▼ تحسّن',
+            'change.regressed': '▲ تراجع',
+            'change.unchanged': '= بلا تغيير',
+
+            'validation.panel': 'التحقق من النتائج',
+            'validation.summary': '{source}: المعروض {shown}، المرفوض {rejected} · الأخطاء: {errors}، التحذيرات: {warnings}',
+            'validation.clean': '{source}: اجتازت جميع المدخلات ({count}) التحقق',
+            'validation.rejected': 'مرفوض',
+            'validation.warning': 'تحذير',
+            'validation.more': '…و{count} غيرها',
+
+            'review.panel': 'ملاحظات المراجعة',
+            'review.export': 'تصدير الملاحظات',
+            'review.import': 'استيراد الملاحظات',
+            'review.storageNote': 'تُحفظ الملاحظات في هذا المتصفح وتُربط بمسار كل عينة.',
+            'review.imported': 'استُورد {count} من الملاحظات من {file}',
+            'review.importFailed': 'تعذّر استيراد {file}: {message}',
+            'review.heading': 'المراجعة',
+            'review.verdictGroup': 'حكم المراجعة',
+            'review.note': 'ملاحظة',
+            'review.notePlaceholder': 'ملاحظة المراجِع…',
+            'verdict.correct': 'صحيح',
+            'verdict.stylistic': 'فرق شكلي فقط',
+            'verdict.error': 'خطأ في التعرّف',
+            'verdict.bad-reference': 'خلل في المرجع أو الصوت',
+
+            'diacritics.panel': 'تحليل التشكيل',
+            'diacritics.intro': 'تُقسَّم كل كلمة إلى حروفها الأساسية والعلامات التي عليها. أخطاء الحروف تأتي من محاذاة الحروف، وأخطاء التشكيل تقارن العلامات على الحروف المتقابلة.',
+            'diacritics.droppedNote': 'قاعدة «حذف كل التشكيل» مفعّلة، فلا يبقى ما يُقارن في الوضع الموحَّد.',
+            'diacritics.letterRate': 'معدل أخطاء الحروف {rate}',
+            'diacritics.letterRateTitle': 'تعديلات هيكل الحروف الأساسية مقسومة على حروف المرجع',
+            'diacritics.diacriticRate': 'معدل أخطاء التشكيل {rate}',
+            'diacritics.diacriticRateTitle': 'الحروف المختلفة في علاماتها مقسومة على الحروف المتقابلة في النصين',
+            'diacritics.letterErrors': 'أخطاء الحروف: {errors} / {total}',
+            'diacritics.diacriticErrors': 'أخطاء التشكيل: {errors} / {total}',
+            'diacritics.noLetters': 'لا توجد حروف متقابلة للمقارنة.',
+            'diacritics.corner': 'المرجع ↓ / المتوقَّع ←',
+            'diacritics.cellTitle': '{reference} ← {predicted}: {count} ({share} من الصف)',
+            'diacritics.topConfusions': 'أكثر الالتباسات تكرارًا',
+            'diacritics.noConfusions': 'لا توجد التباسات في التشكيل في العرض الحالي.',
+            'mark.none': 'بلا علامة',
+            'mark.separator': ' + ',
+            // Arabic names for DIACRITIC_MARKS, keyed by code point; English uses the names in metrics.js
+            'mark.0651': 'شدّة',
+            'mark.064E': 'فتحة',
+            'mark.064F': 'ضمّة',
+            'mark.0650': 'كسرة',
+            'mark.0652': 'سكون',
+            'mark.064B': 'تنوين فتح',
+            'mark.064C': 'تنوين ضم',
+            'mark.064D': 'تنوين كسر',
+            'mark.0670': 'ألف خنجرية',
+            'mark.0653': 'مدّة',
+            'mark.0654': 'همزة فوقية',
+            'mark.0655': 'همزة تحتية',
+            'mark.06E1': 'سكون عثماني',
+            'mark.06DF': 'صفر مستدير',
+            'mark.0657': 'ضمة مقلوبة',
+            'mark.0656': 'ألف تحتية',
+            'mark.065E': 'فتحة مفتوحة',
+            'mark.06E2': 'ميم صغيرة عالية',
+            'mark.06ED': 'ميم صغيرة سفلية',
+            'mark.06E5': 'واو صغيرة',
+            'mark.06E6': 'ياء صغيرة',
+            'mark.06E7': 'ياء صغيرة عالية',
+            'mark.06E8': 'نون صغيرة عالية',
+            'mark.06E3': 'سين صغيرة سفلية',
+            'mark.06EA': 'وقف سفلي فارغ',
+            'mark.06EB': 'وقف علوي فارغ',
+            'mark.06EC': 'وقف علوي مملوء',
+
+            'text.raw': 'الخام',
+            'text.normalized': 'الموحَّد',
+            'text.rawMode': 'نص خام',
+            'text.normalizedMode': 'نص موحَّد',
+
+            'quality.panel': 'جودة الصوت',
+            'quality.intro': 'تُحلَّل ملفات WAV داخل المتصفح لمعرفة المدة ومعدل العيّنات ومستوى الصوت والتشبّع والصمت في البداية والنهاية. تُحلَّل البطاقات عند ظهورها، ويغطي الرسم العينات المطابقة للمرشّحات الحالية.',
+            'quality.analyzeAll': 'تحليل كل العينات',
+            'quality.analyzeAllTitle': 'جلب كل عينات العرض الحالي وتحليلها',
+            'quality.plotAgainst': 'رسم WER مقابل',
+            'quality.measure.rmsDb': 'مستوى RMS',
+            'quality.measure.peakDb': 'مستوى الذروة',
+            'quality.measure.clippingRatio': 'العيّنات المتشبّعة',
+            'quality.measure.duration': 'المدة',
+            'quality.measure.leadingSilence': 'الصمت في البداية',
+            'quality.measure.trailingSilence': 'الصمت في النهاية',
+            'quality.measure.sampleRate': 'معدل العيّنات',
+            'quality.axis.rmsDb': 'مستوى RMS (dBFS)',
+            'quality.axis.peakDb': 'مستوى الذروة (dBFS)',
+            'quality.axis.clippingRatio': 'العيّنات المتشبّعة (%)',
+            'quality.axis.duration': 'المدة (ث)',
+            'quality.axis.leadingSilence': 'الصمت في البداية (ث)',
+            'quality.axis.trailingSilence': 'الصمت في النهاية (ث)',
+            'quality.axis.sampleRate': 'معدل العيّنات (Hz)',
+            'quality.status': 'حُلّل {analyzed} من {count} عينة في العرض',
+            'quality.statusFailed': ' · تعذّر فك ترميز {count}',
+            'quality.statusPending': ' · لم يُحلَّل بعد: {count}',
+            'quality.noPoints': 'حلّل العينات لرسم خصائص صوتها مقابل WER.',
+            'quality.issue': 'المشكلة',
+            'quality.samples': 'العينات',
+            'quality.meanWith': 'متوسط WER معها',
+            'quality.meanWithout': 'متوسط WER بدونها',
+            'quality.noIssues': 'لم تُرصد مشكلات تشبّع أو صمت أو مستوى أو صيغة في العينات المحلَّلة.',
+            'quality.scatterLabel': 'WER مقابل {measure}',
+            'quality.scatterFooter': '{samples} · معامل بيرسون r = {r} · النقاط البرتقالية فيها مشكلة مرصودة؛ انقر نقطة لفتح عينتها',
+            'quality.analyzing': 'جارٍ تحليل الصوت…',
+            'quality.notAnalyzed': 'لم يُحلَّل الصوت',
+            'quality.durationTitle': 'المدة',
+            'quality.formatTitle': 'معدل العيّنات والقنوات وصيغة العيّنة',
+            'quality.levelTitle': 'مستوى RMS / مستوى الذروة',
+            'quality.level': 'RMS {rms} · الذروة {peak}',
+            'quality.mono': 'أحادي',
+            'quality.stereo': 'ستيريو',
+            'quality.channels': '{count} قنوات',
+            'quality.bits': '{bits} بت',
+            'quality.issue.clipping': 'تشبّع',
+            'quality.issue.leadingSilence': 'صمت طويل في البداية',
+            'quality.issue.trailingSilence': 'صمت طويل في النهاية',
+            'quality.issue.sampleRate': 'معدل عيّنات غير متوقع',
+            'quality.issue.multichannel': 'أكثر من قناة',
+            'quality.issue.quiet': 'مستوى منخفض',
+            'quality.issue.short': 'قصير جدًا',
+            'quality.badge.clipping': 'تشبّع {percent}',
+            'quality.badge.leadingSilence': 'صمت {seconds} ث في البداية',
+            'quality.badge.trailingSilence': 'صمت {seconds} ث في النهاية',
+            'quality.badge.sampleRate': '{rate} Hz',
+            'quality.badge.multichannel': '{count} قنوات',
+            'quality.badge.quiet': 'مستوى منخفض',
+            'quality.badge.short': 'قصير جدًا',
+            'quality.badgeTitle.clipping': '{count} عيّنة عند أقصى مستوى',
+            'quality.badgeTitle.leadingSilence': 'أهدأ من {db} dBFS',
+            'quality.badgeTitle.trailingSilence': 'أهدأ من {db} dBFS',
+            'quality.badgeTitle.sampleRate': 'المتوقع {rate} Hz',
+            'quality.badgeTitle.multichannel': 'المتوقع قناة واحدة',
+            'quality.badgeTitle.quiet': 'RMS أقل من {db} dBFS',
+            'quality.badgeTitle.short': 'أقصر من {seconds} ث',
+
+            'export.panel': 'تصدير التقرير',
+            'export.csv': 'العينات CSV',
+            'export.csvTitle': 'صف لكل عينة، لجداول البيانات',
+            'export.json': 'العينات JSON',
+            'export.jsonTitle': 'الملخص مع مقاييس كل عينة وأحكام المراجعة',
+            'export.html': 'تقرير HTML',
+            'export.htmlTitle': 'صفحة مستقلة فيها الملخص والفروق مظلَّلة',
+            'export.note': 'يشمل التصدير العينات المطابقة للمرشّحات الحالية بترتيب الفرز الحالي.',
+            'export.nothing': 'لا شيء للتصدير: لا توجد عينات مطابقة للمرشّحات الحالية.',
+            'export.done': 'صُدّرت {samples} بصيغة {format}',
+
+            'report.title': '{run} · تقرير التقييم',
+            'report.defaultRun': 'نتائج التقييم',
+            'report.meta': 'أُنشئ في {date} · {filters} · {shown} من {total} · الفروق على النص {mode}',
+            'report.corpusWer': 'WER للمدوّنة',
+            'report.corpusCer': 'CER للمدوّنة',
+            'report.reviewed': 'تمت مراجعة {reviewed} من {count}',
+            'report.sampleHeading': '#{position} · العينة {id}',
+            'report.metrics': 'WER {wer} · CER {cer} · استبدال {substitutions} · إدراج {insertions} · حذف {deletions}',
+
+            'display.panel': 'عرض النص',
+            'display.font': 'الخط العربي',
+            'display.showHarakat': 'إظهار الحركات',
+            'display.colorHarakat': 'تلوين الحركات بلون مستقل',
+            'display.note': 'تغيّر هذه الإعدادات طريقة رسم نصوص البطاقات والنافذة فقط؛ تستخدم المقاييس والبحث والتصدير النص الكامل دائمًا.',
+            'font.system': 'خط الواجهة',
+            'font.amiriQuran': 'أميري قرآن',
+            'font.scheherazade': 'شهرزاد الجديد',
+            'font.notoNaskh': 'نوتو نسخ عربي',
+
+            'normalization.panel': 'قواعد توحيد النص',
+            // Arabic labels for NORMALIZATION_RULES; English uses the labels in metrics.js
+            'rule.markOrder.label': 'ترتيب قياسي للعلامات',
+            'rule.markOrder.description': 'إعادة ترتيب العلامات المتراكبة (كالشدة مع الكسرة) وفق ترتيب يونيكود NFC',
+            'rule.tatweel.label': 'حذف التطويل',
+            'rule.tatweel.description': 'حذف حرف الكشيدة ـ',
+            'rule.pauseMarks.label': 'حذف علامات الوقف',
+            'rule.pauseMarks.description': 'حذف علامات الوقف مثل ۚ ۖ ۗ وعلامتي الحزب والسجدة',
+            'rule.sukun.label': 'توحيد أشكال السكون',
+            'rule.sukun.description': 'تحويل السكون العثماني (U+06E1) والصفر المستدير (U+06DF) إلى U+0652',
+            'rule.tanween.label': 'توحيد أشكال التنوين',
+            'rule.tanween.description': 'تحويل تنوين الإظهار المفتوح U+0657→ً، U+065E→ٌ، U+0656→ٍ وحذف ميم الإقلاب الصغيرة بعد التنوين',
+            'rule.smallLetters.label': 'حذف الحروف الصغيرة',
+            'rule.smallLetters.description': 'حذف الحروف العثمانية الصغيرة العالية والسفلية (الواو والياء والميم والنون الصغيرة…)',
+            'rule.alef.label': 'توحيد أشكال الألف',
+            'rule.alef.description': 'تحويل ٱ أ إ آ إلى ألف مجردة ا',
+            'rule.alefMaksura.label': 'توحيد الألف المقصورة',
+            'rule.alefMaksura.description': 'تحويل ى إلى ي',
+            'rule.hamza.label': 'توحيد حوامل الهمزة',
+            'rule.hamza.description': 'تحويل ؤ ئ إلى و ي وحذف الهمزة المفردة ء وعلامات الهمزة',
+            'rule.diacritics.label': 'حذف كل التشكيل',
+            'rule.diacritics.description': 'حذف كل الحركات والتنوين والشدة وعلامات الضبط القرآنية',
+
+            'filters.searchPlaceholder': 'ابحث في النص المرجعي ومخرجات النموذج…',
+            'filters.ignoreHarakat': 'تجاهل الحركات',
+            'filters.normalizeHamza': 'توحيد الهمزة والألف',
+            'filters.wer': 'WER',
+            'filters.werMin': 'أدنى WER',
+            'filters.werMax': 'أعلى WER',
+            'filters.all': 'الكل',
+            'filters.exact': 'المطابقة تمامًا فقط',
+            'filters.errors': 'الأخطاء فقط',
+            'filters.has': 'تحتوي',
+            'filters.clear': 'مسح المرشّحات',
+            'filters.showing': 'المعروض',
+            'filters.showAll': 'عرض كل العينات',
+            'filters.focusLabel': '{label} ({samples})',
+            'filters.linkedSamples': 'عينات مرتبطة',
+            'filters.describe.all': 'كل العينات',
+            'filters.describe.search': 'البحث عن «{query}»',
+            'filters.describe.wer': 'WER {min}%–{max}',
+            'filters.describe.exact': 'المطابقة تمامًا فقط',
+            'filters.describe.errors': 'الأخطاء فقط',
+            'filters.describe.has': 'تحتوي {types}',
+            'filters.describe.or': ' أو ',
+            'filters.describe.substitutions': 'استبدالًا',
+            'filters.describe.insertions': 'إدراجًا',
+            'filters.describe.deletions': 'حذفًا',
+
+            'sort.label': 'الترتيب حسب',
+            'sort.original': 'الترتيب الأصلي',
+            'sort.sampleId': 'رقم العينة',
+            'sort.wer': 'WER',
+            'sort.length': 'الطول (كلمات المرجع)',
+            'sort.errors': 'عدد الأخطاء',
+            'sort.shuffle': 'خلط ببذرة ثابتة (مراجعة عمياء)',
+            'sort.directionTitle': 'عكس اتجاه الترتيب',
+            'sort.desc': '↓ تنازلي',
+            'sort.asc': '↑ تصاعدي',
+            'sort.seed': 'البذرة',
+            'sort.newSeed': 'اختيار بذرة عشوائية جديدة',
+            'pageSize.label': 'العرض',
+            'pageSize.perPage': '{count} في الصفحة',
+            'pageSize.scroll': 'تمرير متواصل',
+            'playback.speed': 'السرعة',
+            'playback.speedLabel': 'سرعة التشغيل',
+            'common.seconds': '{count} ث',
+
+            'cards.feedLabel': 'العينات',
+            'cards.empty': 'لا توجد عينات مطابقة للمرشّحات الحالية.',
+            'cards.label': '{sample}، WER {wer}',
+            'sample.name': 'العينة {id}',
+            'sample.groundTruth': 'النص المرجعي',
+            'sample.prediction': 'مخرجات النموذج',
+            'audio.unsupported': 'متصفحك لا يدعم عنصر الصوت.',
+
+            'metric.wer': 'معدل الخطأ في الكلمات',
+            'metric.cer': 'معدل الخطأ في الأحرف',
+            'metric.letterRate': 'معدل أخطاء الحروف',
+            'metric.diacriticRate': 'معدل أخطاء التشكيل',
+            'metric.substitutions': 'الاستبدالات',
+            'metric.insertions': 'الإدراجات',
+            'metric.deletions': 'الحذوفات',
+            'metric.refWords': 'كلمات المرجع',
+            'metric.badge.substitutions': 'استبدال {count}',
+            'metric.badge.insertions': 'إدراج {count}',
+            'metric.badge.deletions': 'حذف {count}',
+
+            'diff.substitution': 'استبدال',
+            'diff.deletion': 'حذف',
+            'diff.insertion': 'إدراج',
+            'diff.predicted': 'المتوقَّع: {word}',
+            'diff.expected': 'المنتظَر: {word}',
+            'diff.missingFromPrediction': 'ناقصة من مخرجات النموذج',
+            'diff.missing': 'ناقصة: {word}',
+            'diff.inserted': 'مُدرَجة: {word}',
+            'diff.notInReference': 'غير موجودة في النص المرجعي',
+
+            'insights.title': 'إحصاءات المدوّنة',
+            'insights.summary': '{samples} · أخطاء الكلمات: {errors} (استبدال {substitutions}، حذف {deletions}، إدراج {insertions}) · النص {mode}',
+            'insights.pairs': 'أكثر أزواج الالتباس',
+            'insights.missed': 'أكثر كلمات المرجع إخفاقًا',
+            'insights.substituted': 'الأكثر استبدالًا',
+            'insights.deleted': 'الأكثر حذفًا',
+            'insights.inserted': 'الأكثر إدراجًا',
+            'insights.empty': 'لا شيء هنا.',
+            'insights.rateTitle': 'مرات الإخفاق / مرات الورود في النصوص المرجعية',
+            'insights.openSample': 'فتح العينة {id}',
+            'insights.show': 'عرض {count}',
+            'insights.showTitle': 'عرض هذه العينات في القائمة',
+
+            'pagination.page': 'الصفحة {page} من {total}',
+            'pagination.showing': 'عرض {start}-{end} من {count}',
+            'pagination.none': 'لا توجد عينات مطابقة للمرشّحات الحالية',
+            'pagination.previous': '→ السابق',
+            'pagination.next': 'التالي ←',
+
+            'modal.title': 'تحليل العينة',
+            'modal.sampleTitle': 'تحليل العينة {id} (#{position} من {total})',
+            'modal.audio': 'صوت العينة',
+            'modal.loop': 'تكرار التحديد',
+            'modal.loopTitle': 'يكرر المقطع المحدد، أو المقطع كله إن لم يُحدَّد شيء',
+            'modal.replay': 'إعادة (R)',
+            'modal.replayTitle': 'اضغط R للرجوع وإعادة التشغيل',
+            'modal.reviewGap': 'مهلة بين العينات',
+            'modal.errorMetrics': 'مقاييس الخطأ',
+            'modal.previousSample': 'العينة السابقة',
+            'modal.nextSample': 'العينة التالية',
+            'modal.previous': '→ السابقة',
+            'modal.next': 'التالية ←',
+            'continuous.start': '▶ مراجعة متواصلة',
+            'continuous.stop': '■ إيقاف المراجعة',
+            'continuous.playing': 'المراجعة المتواصلة: قيد التشغيل',
+            'continuous.finished': 'انتهت المراجعة المتواصلة: وصلت إلى آخر عينة',
+            'continuous.nextIn': 'العينة التالية بعد {seconds} ث…',
+            'waveform.hint': 'انقر للانتقال، واسحب لتحديد مقطع',
+            'waveform.selection': 'التحديد {start} ث – {end} ث ({length} ث)',
+            'waveform.clear': 'إلغاء التحديد',
+            'waveform.spectrogram': 'مخطط طيفي (log-mel)',
+            'waveform.decoding': 'جارٍ فك ترميز الصوت…',
+            'waveform.unsupported': 'الموجة الصوتية غير متاحة: المتصفح لا يدعم Web Audio API.',
+            'waveform.failed': 'الموجة الصوتية غير متاحة لهذا الملف.',
+
+            'shortcuts.title': 'اختصارات لوحة المفاتيح',
+            'shortcuts.scope.list': 'قائمة العينات',
+            'shortcuts.scope.detail': 'عرض التفاصيل',
+            'shortcuts.scope.review': 'المراجعة',
+            'shortcuts.scope.anywhere': 'في أي مكان',
+            'shortcuts.nextPreviousCard': 'بطاقة العينة التالية / السابقة',
+            'shortcuts.openCard': 'فتح البطاقة المحددة',
+            'shortcuts.playCard': 'تشغيل البطاقة المحددة أو إيقافها',
+            'shortcuts.nextPreviousPage': 'الصفحة التالية / السابقة',
+            'shortcuts.firstLast': 'أول عينة / آخر عينة',
+            'shortcuts.search': 'البحث',
+            'shortcuts.nextSample': 'العينة التالية',
+            'shortcuts.previousSample': 'العينة السابقة',
+            'shortcuts.play': 'تشغيل أو إيقاف',
+            'shortcuts.close': 'إغلاق',
+            'shortcuts.verdict': 'تعيين الحكم: {verdicts}',
+            'shortcuts.replay': 'إعادة آخر ثوانٍ',
+            'shortcuts.fontSize': 'تكبير / تصغير النص',
+            'shortcuts.toggle': 'إظهار هذه القائمة أو إخفاؤها',
+
+            'announce.view': 'تُعرض {shown} من {count} عينة. WER للمدوّنة {wer}.',
+            'announce.page': 'الصفحة {page} من {total}. {items}',
+            'announce.sample': '{sample}، {position} من {total}. WER {wer}، CER {cer}.',
+            'announce.verdictSet': '{sample}: الحكم {verdict}',
+            'announce.verdictCleared': '{sample}: أُزيل الحكم',
+            'announce.textMode': 'المقارنة على النص {mode}. WER للمدوّنة {wer}.',
+            'announce.language': 'لغة الواجهة: العربية',
+
+            'drop.message': 'أفلت ملف نتائج JSON و/أو مجلد ملفات WAV'
+        }
+    };
+
+    // The preferred language if there is a catalog for it, else the first of the browser's that has one
+    function detectLanguage(preferred, browserLanguages = []) {
+        const candidates = [preferred, ...browserLanguages].filter(Boolean).map(tag => String(tag).split('-')[0].toLowerCase());
+        return candidates.find(language => CATALOGS[language]) || 'en';
+    }
+
+    class Translator {
+        constructor(language = 'en') {
+            this.setLanguage(language);
+        }
+
+        setLanguage(language) {
+            this.language = CATALOGS[language] ? language : 'en';
+            this.catalog = CATALOGS[this.language];
+            this.pluralRules = new Intl.PluralRules(this.language);
+        }
+
+        get dir() {
+            return LANGUAGES.find(language => language.id === this.language).dir;
+        }
+
+        has(key) {
+            return key in this.catalog;
+        }
+
+        // Missing keys fall back to English, then to the key itself, so a gap shows up without breaking the page
+        t(key, params = {}) {
+            let entry = key in this.catalog ? this.catalog[key] : CATALOGS.en[key];
+            if (entry === undefined) return key;
+            if (typeof entry === 'object') {
+                entry = entry[this.pluralRules.select(params.count)] || entry.other;
+            }
+            return entry.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+        }
+    }
+
+    return {
+        LANGUAGES,
+        CATALOGS,
+        detectLanguage,
+        Translator
+    };
+}));
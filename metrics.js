@@ -0,0 +1,755 @@
+// Evaluation metrics with no DOM dependencies: text normalization, word alignment, WER/CER,
+// corpus aggregation, bootstrap statistics, and parsing and validation of results files. The dashboard loads it as window.EvaluationMetrics,
+// stats-worker.js through importScripts; Node requires it (see evaluate.js and tests/metrics.test.js).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.EvaluationMetrics = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Named orthography rule sets, applied in this order before texts are compared
+    const NORMALIZATION_RULES = [
+        {
+            id: 'markOrder',
+            label: 'Canonical mark order',
+            description: 'Reorder stacked diacritics (e.g. shadda + kasra) into Unicode NFC order',
+            enabledByDefault: true,
+            apply: (text) => text.normalize('NFC')
+        },
+        {
+            id: 'tatweel',
+            label: 'Remove tatweel',
+            description: 'Drop the kashida stretch character ـ',
+            enabledByDefault: true,
+            apply: (text) => text.replace(/ـ/g, '')
+        },
+        {
+            id: 'pauseMarks',
+            label: 'Strip pause marks',
+            description: 'Remove waqf signs such as ۚ ۖ ۗ and the rub el hizb / sajdah marks',
+            enabledByDefault: true,
+            apply: (text) => text.replace(/[ۖ-ۜ۞۩]/g, '')
+        },
+        {
+            id: 'sukun',
+            label: 'Unify sukun forms',
+            description: 'Map the Uthmānī sukun (U+06E1) and rounded zero (U+06DF) to U+0652',
+            enabledByDefault: true,
+            apply: (text) => text.replace(/[۟ۡ]/g, 'ْ')
+        },
+        {
+            id: 'tanween',
+            label: 'Unify tanween forms',
+            description: 'Map open tanween U+0657→ً, U+065E→ٌ, U+0656→ٍ and drop the iqlab small meem after tanween',
+            enabledByDefault: true,
+            apply: (text) => text
+                .replace(/([ً-ٍ])[ۭۢ]/g, '$1')
+                .replace(/ٗ/g, 'ً')
+                .replace(/ٖ/g, 'ٍ')
+                .replace(/ٞ/g, 'ٌ')
+        },
+        {
+            id: 'smallLetters',
+            label: 'Remove small letters',
+            description: 'Drop Uthmānī small high/low letters (small waw, yeh, meem, noon…)',
+            enabledByDefault: true,
+            apply: (text) => text.replace(/[ۣۢۥ-۪ۨ-ۭ]/g, '')
+        },
+        {
+            id: 'alef',
+            label: 'Map alef variants',
+            description: 'Map ٱ أ إ آ to a bare alef ا',
+            enabledByDefault: true,
+            apply: (text) => text.replace(/[آأإٱ]/g, 'ا')
+        },
+        {
+            id: 'alefMaksura',
+            label: 'Map alef maksura',
+            description: 'Map ى to ي',
+            enabledByDefault: true,
+            apply: (text) => text.replace(/ى/g, 'ي')
+        },
+        {
+            id: 'hamza',
+            label: 'Map hamza carriers',
+            description: 'Map ؤ ئ to و ي and drop standalone ء and hamza marks',
+            enabledByDefault: false,
+            apply: (text) => text
+                .replace(/ؤ/g, 'و')
+                .replace(/ئ/g, 'ي')
+                .replace(/[ءٕٔ]/g, '')
+        },
+        {
+            id: 'diacritics',
+            label: 'Drop all diacritics',
+            description: 'Remove every haraka, tanween, shadda and Quranic annotation mark',
+            enabledByDefault: false,
+            apply: (text) => text.replace(/[ؐ-ًؚ-ٰٟۖ-ۭ]/g, '')
+        }
+    ];
+
+    // Applies the enabled subset of NORMALIZATION_RULES to a text
+    class TextNormalizer {
+        constructor(enabledRuleIds) {
+            const defaults = NORMALIZATION_RULES.filter(rule => rule.enabledByDefault).map(rule => rule.id);
+            this.enabledRules = new Set(enabledRuleIds || defaults);
+        }
+
+        get rules() {
+            return NORMALIZATION_RULES;
+        }
+
+        isEnabled(ruleId) {
+            return this.enabledRules.has(ruleId);
+        }
+
+        setRuleEnabled(ruleId, enabled) {
+            if (enabled) {
+                this.enabledRules.add(ruleId);
+            } else {
+                this.enabledRules.delete(ruleId);
+            }
+        }
+
+        getEnabledRuleIds() {
+            return NORMALIZATION_RULES.filter(rule => this.enabledRules.has(rule.id)).map(rule => rule.id);
+        }
+
+        normalize(text) {
+            let result = text || '';
+            NORMALIZATION_RULES.forEach(rule => {
+                if (this.enabledRules.has(rule.id)) {
+                    result = rule.apply(result);
+                }
+            });
+            return result.replace(/\s+/g, ' ').trim();
+        }
+    }
+
+    // Marks that ride on a base letter, in the order they are listed when several stack (shadda first)
+    const DIACRITIC_MARKS = [
+        { char: 'ّ', name: 'shadda' },
+        { char: 'َ', name: 'fatha' },
+        { char: 'ُ', name: 'damma' },
+        { char: 'ِ', name: 'kasra' },
+        { char: 'ْ', name: 'sukun' },
+        { char: 'ً', name: 'tanween fath' },
+        { char: 'ٌ', name: 'tanween damm' },
+        { char: 'ٍ', name: 'tanween kasr' },
+        { char: 'ٰ', name: 'dagger alef' },
+        { char: 'ٓ', name: 'maddah' },
+        { char: 'ٔ', name: 'hamza above' },
+        { char: 'ٕ', name: 'hamza below' },
+        { char: 'ۡ', name: 'sukun (Uthmānī)' },
+        { char: '۟', name: 'rounded zero' },
+        { char: 'ٗ', name: 'inverted damma' },
+        { char: 'ٖ', name: 'subscript alef' },
+        { char: 'ٞ', name: 'open fatha' },
+        { char: 'ۢ', name: 'small high meem' },
+        { char: 'ۭ', name: 'small low meem' },
+        { char: 'ۥ', name: 'small waw' },
+        { char: 'ۦ', name: 'small yeh' },
+        { char: 'ۧ', name: 'small high yeh' },
+        { char: 'ۨ', name: 'small high noon' },
+        { char: 'ۣ', name: 'small low seen' },
+        { char: '۪', name: 'empty low stop' },
+        { char: '۫', name: 'empty high stop' },
+        { char: '۬', name: 'filled high stop' }
+    ];
+
+    // Splits words into a base-letter skeleton and per-letter diacritics, then scores each layer separately
+    class DiacriticAnalyzer {
+        constructor(align = alignSequences) {
+            this.align = align; // (referenceArray, hypothesisArray) -> alignment operations
+            this.markOrder = new Map(DIACRITIC_MARKS.map((mark, index) => [mark.char, index]));
+            this.markPattern = /[ؐ-ًؚ-ٰٟ۟-۪ۨ-ۭ]/;
+            // Pause marks and tatweel are neither letters nor harakat
+            this.ignoredPattern = /[ـۖ-ۜ۞۩]/g;
+        }
+
+        // "بِٱلْخَلْقِ" -> [{ base: 'ب', marks: 'ِ' }, { base: 'ٱ', marks: '' }, ...]
+        splitLetters(text) {
+            const letters = [];
+            Array.from((text || '').normalize('NFC').replace(this.ignoredPattern, '')).forEach(char => {
+                if (/\s/.test(char)) return;
+                if (this.markPattern.test(char)) {
+                    // A mark with nothing to sit on (e.g. a stray mark after a space) is dropped
+                    if (letters.length) letters[letters.length - 1].marks.push(char);
+                    return;
+                }
+                letters.push({ base: char, marks: [] });
+            });
+            return letters.map(letter => ({ base: letter.base, marks: this.getMarkKey(letter.marks) }));
+        }
+
+        // Stacking order varies between encodings, so sort marks into one canonical key
+        getMarkKey(marks) {
+            const rank = char => (this.markOrder.has(char) ? this.markOrder.get(char) : DIACRITIC_MARKS.length + char.charCodeAt(0));
+            return marks.slice().sort((a, b) => rank(a) - rank(b)).join('');
+        }
+
+        describeMarks(key) {
+            if (!key) return 'none';
+            return Array.from(key).map(char => {
+                const mark = DIACRITIC_MARKS.find(entry => entry.char === char);
+                return mark ? mark.name : `U+${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+            }).join(' + ');
+        }
+
+        // Letter errors come from aligning the skeletons; diacritics are compared only on letters that line up
+        analyze(reference, hypothesis) {
+            const refLetters = this.splitLetters(reference);
+            const hypLetters = this.splitLetters(hypothesis);
+            const operations = this.align(refLetters.map(letter => letter.base), hypLetters.map(letter => letter.base));
+            const result = { refLetters: refLetters.length, letterErrors: 0, comparedLetters: 0, diacriticErrors: 0, confusions: {} };
+            let i = 0;
+            let j = 0;
+
+            operations.forEach(op => {
+                if (op.type === 'equal') {
+                    const refMarks = refLetters[i].marks;
+                    const hypMarks = hypLetters[j].marks;
+                    result.comparedLetters++;
+                    if (refMarks !== hypMarks) result.diacriticErrors++;
+                    const row = result.confusions[refMarks] || (result.confusions[refMarks] = {});
+                    row[hypMarks] = (row[hypMarks] || 0) + 1;
+                } else {
+                    result.letterErrors++;
+                }
+                if (op.type !== 'insert') i++;
+                if (op.type !== 'delete') j++;
+            });
+
+            return result;
+        }
+
+        // Sum per-sample results into corpus totals and one merged confusion table
+        combine(results) {
+            const totals = { refLetters: 0, letterErrors: 0, comparedLetters: 0, diacriticErrors: 0, confusions: {} };
+
+            results.forEach(result => {
+                totals.refLetters += result.refLetters;
+                totals.letterErrors += result.letterErrors;
+                totals.comparedLetters += result.comparedLetters;
+                totals.diacriticErrors += result.diacriticErrors;
+                Object.entries(result.confusions).forEach(([refMarks, row]) => {
+                    const totalRow = totals.confusions[refMarks] || (totals.confusions[refMarks] = {});
+                    Object.entries(row).forEach(([hypMarks, count]) => {
+                        totalRow[hypMarks] = (totalRow[hypMarks] || 0) + count;
+                    });
+                });
+            });
+
+            return {
+                ...totals,
+                letterErrorRate: totals.refLetters > 0 ? totals.letterErrors / totals.refLetters : null,
+                diacriticErrorRate: totals.comparedLetters > 0 ? totals.diacriticErrors / totals.comparedLetters : null
+            };
+        }
+    }
+
+    // Edit-distance matrix between two sequences (strings or word arrays)
+    function buildEditMatrix(reference, hypothesis) {
+        const matrix = [];
+        
+        for (let i = 0; i <= reference.length; i++) {
+            matrix[i] = [i];
+        }
+        
+        for (let j = 0; j <= hypothesis.length; j++) {
+            matrix[0][j] = j;
+        }
+        
+        for (let i = 1; i <= reference.length; i++) {
+            for (let j = 1; j <= hypothesis.length; j++) {
+                if (reference[i - 1] === hypothesis[j - 1]) {
+                    matrix[i][j] = matrix[i - 1][j - 1];
+                } else {
+                    matrix[i][j] = Math.min(
+                        matrix[i - 1][j - 1] + 1, // substitution
+                        matrix[i][j - 1] + 1,     // insertion
+                        matrix[i - 1][j] + 1      // deletion
+                    );
+                }
+            }
+        }
+        
+        return matrix;
+    }
+
+    function levenshteinDistance(str1, str2) {
+        const matrix = buildEditMatrix(str1, str2);
+        return matrix[str1.length][str2.length];
+    }
+
+    function tokenizeWords(text) {
+        return (text || '').trim().split(/\s+/).filter(Boolean);
+    }
+
+    // Walk the edit matrix back from the bottom-right corner to recover the operations
+    function alignSequences(reference, hypothesis) {
+        const matrix = buildEditMatrix(reference, hypothesis);
+        const operations = [];
+        let i = reference.length;
+        let j = hypothesis.length;
+        
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0 && reference[i - 1] === hypothesis[j - 1] && matrix[i][j] === matrix[i - 1][j - 1]) {
+                operations.push({ type: 'equal', ref: reference[i - 1], hyp: hypothesis[j - 1] });
+                i--;
+                j--;
+            } else if (i > 0 && matrix[i][j] === matrix[i - 1][j] + 1) {
+                // Prefer gaps over substitutions on ties so trailing extra words line up as deletions
+                operations.push({ type: 'delete', ref: reference[i - 1], hyp: null });
+                i--;
+            } else if (j > 0 && matrix[i][j] === matrix[i][j - 1] + 1) {
+                operations.push({ type: 'insert', ref: null, hyp: hypothesis[j - 1] });
+                j--;
+            } else {
+                operations.push({ type: 'substitute', ref: reference[i - 1], hyp: hypothesis[j - 1] });
+                i--;
+                j--;
+            }
+        }
+        
+        return operations.reverse();
+    }
+
+    function alignWords(reference, hypothesis) {
+        return alignSequences(tokenizeWords(reference), tokenizeWords(hypothesis));
+    }
+
+    // Texts as they should be compared: 'raw' verbatim, 'normalized' through the normalizer's enabled rules
+    function getComparisonTexts(item, mode, normalizer) {
+        if (mode === 'raw') {
+            return { reference: item.ground_truth || '', hypothesis: item.prediction || '' };
+        }
+        return {
+            reference: normalizer.normalize(item.ground_truth),
+            hypothesis: normalizer.normalize(item.prediction)
+        };
+    }
+
+    // Word and character edit counts for one reference/hypothesis pair
+    function computeTextMetrics(reference, hypothesis) {
+        const alignment = alignWords(reference, hypothesis);
+        const counts = { hits: 0, substitutions: 0, insertions: 0, deletions: 0 };
+        
+        alignment.forEach(op => {
+            if (op.type === 'equal') counts.hits++;
+            else if (op.type === 'substitute') counts.substitutions++;
+            else if (op.type === 'insert') counts.insertions++;
+            else if (op.type === 'delete') counts.deletions++;
+        });
+        
+        const refWords = counts.hits + counts.substitutions + counts.deletions;
+        const hypWords = counts.hits + counts.substitutions + counts.insertions;
+        const wordErrors = counts.substitutions + counts.insertions + counts.deletions;
+        const refChars = tokenizeWords(reference).join(' ');
+        const hypChars = tokenizeWords(hypothesis).join(' ');
+        const charErrors = levenshteinDistance(refChars, hypChars);
+        
+        return {
+            ...counts,
+            refWords,
+            hypWords,
+            wordErrors,
+            refChars: refChars.length,
+            charErrors,
+            wer: refWords > 0 ? wordErrors / refWords : null,
+            cer: refChars.length > 0 ? charErrors / refChars.length : null
+        };
+    }
+
+    // Corpus WER/CER: total edits over total reference length, not a mean of per-sample rates
+    function aggregateMetrics(sampleMetrics) {
+        const totals = { substitutions: 0, insertions: 0, deletions: 0, wordErrors: 0, refWords: 0, charErrors: 0, refChars: 0 };
+        
+        sampleMetrics.forEach(metrics => {
+            Object.keys(totals).forEach(key => {
+                totals[key] += metrics[key];
+            });
+        });
+        
+        return {
+            ...totals,
+            wer: totals.refWords > 0 ? totals.wordErrors / totals.refWords : null,
+            cer: totals.refChars > 0 ? totals.charErrors / totals.refChars : null
+        };
+    }
+
+    // Mulberry32: a small deterministic PRNG, so a seed always yields the same shuffle or resamples
+    function createSeededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Linear interpolation between the two nearest values of an ascending array
+    function quantile(sorted, fraction) {
+        const position = (sorted.length - 1) * fraction;
+        const below = Math.floor(position);
+        const above = Math.min(below + 1, sorted.length - 1);
+        return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+    }
+
+    // Percentile bootstrap for a corpus error rate. samples: [{ errors, length }] per sample; each resample
+    // draws whole samples with replacement and, like aggregateMetrics, divides total errors by total length.
+    function bootstrapErrorRate(samples, { iterations = 1000, confidence = 0.95, seed = 1 } = {}) {
+        const totalLength = samples.reduce((sum, sample) => sum + sample.length, 0);
+        const estimate = totalLength > 0 ? samples.reduce((sum, sample) => sum + sample.errors, 0) / totalLength : null;
+        if (estimate === null) {
+            return { estimate, lower: null, upper: null, iterations: 0, confidence };
+        }
+        
+        const random = createSeededRandom(seed);
+        const rates = new Float64Array(iterations);
+        for (let i = 0; i < iterations; i++) {
+            let errors = 0;
+            let length = 0;
+            for (let j = 0; j < samples.length; j++) {
+                const sample = samples[Math.floor(random() * samples.length)];
+                errors += sample.errors;
+                length += sample.length;
+            }
+            // Only possible when empty references are drawn every time
+            rates[i] = length > 0 ? errors / length : estimate;
+        }
+        rates.sort();
+        
+        const tail = (1 - confidence) / 2;
+        return { estimate, lower: quantile(rates, tail), upper: quantile(rates, 1 - tail), iterations, confidence };
+    }
+
+    // Paired bootstrap between two runs on the same samples. pairs: [{ errorsA, errorsB, length }];
+    // difference is B's corpus rate minus A's, so a negative difference means B makes fewer errors.
+    // The two-sided p-value counts the resamples in which the difference vanishes or changes sign.
+    function pairedBootstrap(pairs, { iterations = 1000, confidence = 0.95, seed = 1 } = {}) {
+        const totalLength = pairs.reduce((sum, pair) => sum + pair.length, 0);
+        if (totalLength === 0) {
+            return { difference: null, lower: null, upper: null, pValue: null, iterations: 0, confidence };
+        }
+        const difference = pairs.reduce((sum, pair) => sum + pair.errorsB - pair.errorsA, 0) / totalLength;
+        
+        const random = createSeededRandom(seed);
+        const differences = new Float64Array(iterations);
+        let against = 0;
+        for (let i = 0; i < iterations; i++) {
+            let delta = 0;
+            let length = 0;
+            for (let j = 0; j < pairs.length; j++) {
+                const pair = pairs[Math.floor(random() * pairs.length)];
+                delta += pair.errorsB - pair.errorsA;
+                length += pair.length;
+            }
+            differences[i] = length > 0 ? delta / length : difference;
+            if (differences[i] * Math.sign(difference) <= 0) against++;
+        }
+        differences.sort();
+        
+        const tail = (1 - confidence) / 2;
+        return {
+            difference,
+            lower: quantile(differences, tail),
+            upper: quantile(differences, 1 - tail),
+            // Add-one smoothing keeps a finite number of resamples from ever claiming p = 0
+            pValue: difference === 0 ? 1 : Math.min(1, (2 * (against + 1)) / (iterations + 1)),
+            iterations,
+            confidence
+        };
+    }
+
+    // Exact two-sided sign test on per-sample error counts; ties carry no information and are left out
+    function signTest(pairs) {
+        const better = pairs.filter(pair => pair.errorsB < pair.errorsA).length;
+        const worse = pairs.filter(pair => pair.errorsB > pair.errorsA).length;
+        const ties = pairs.length - better - worse;
+        const n = better + worse;
+        const k = Math.min(better, worse);
+        
+        // P(X <= k) for X ~ Binomial(n, 1/2), summed in log space so large n does not underflow
+        let logTerm = n * Math.log(0.5);
+        let tailProbability = Math.exp(logTerm);
+        for (let i = 1; i <= k; i++) {
+            logTerm += Math.log((n - i + 1) / i);
+            tailProbability += Math.exp(logTerm);
+        }
+        
+        return { better, worse, ties, pValue: n === 0 ? 1 : Math.min(1, 2 * tailProbability) };
+    }
+
+    // Incremental JSON Lines parser: one sample object per line, fed arbitrary text chunks.
+    // Lines without a path carry run metadata (model_checkpoint, overall_wer, ...).
+    class JsonLinesParser {
+        constructor() {
+            this.buffer = '';
+            this.lineNumber = 0;
+            this.info = {};
+            this.results = [];
+            this.lines = []; // Line number of each entry in results
+            this.invalidLines = []; // { line, reason }
+        }
+
+        // Returns the samples completed by this chunk
+        push(chunk) {
+            this.buffer += chunk;
+            const lines = this.buffer.split('\n');
+            this.buffer = lines.pop();
+            return this.parseLines(lines);
+        }
+
+        flush() {
+            const rest = this.buffer;
+            this.buffer = '';
+            return this.parseLines([rest]);
+        }
+
+        parseLines(lines) {
+            const batch = [];
+            lines.forEach(line => {
+                this.lineNumber++;
+                const text = line.trim();
+                if (!text) return;
+                
+                let value;
+                try {
+                    value = JSON.parse(text);
+                } catch (e) {
+                    this.invalidLines.push({ line: this.lineNumber, reason: `is not valid JSON (${e.message})` });
+                    return;
+                }
+                
+                if (value && typeof value === 'object' && !Array.isArray(value) && 'path' in value) {
+                    batch.push(value);
+                    this.lines.push(this.lineNumber);
+                } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    Object.assign(this.info, value);
+                } else {
+                    this.invalidLines.push({ line: this.lineNumber, reason: 'is not a JSON object' });
+                }
+            });
+            batch.forEach(item => this.results.push(item));
+            return batch;
+        }
+
+        toResults() {
+            return { ...this.info, results: this.results };
+        }
+    }
+
+    // Checks a results file entry by entry and then its run-level fields. Errors reject an entry,
+    // warnings keep it; every issue names the JSON path (or JSON Lines line) it was found at.
+    class ResultsValidator {
+        constructor(parser = null) {
+            this.parser = parser;
+            this.issues = []; // { severity: 'error' | 'warning', location, message }
+            this.checked = 0;
+            this.rejected = 0;
+            this.seenPaths = new Map(); // path -> location of its first occurrence
+        }
+
+        locate(index) {
+            return this.parser ? `line ${this.parser.lines[index]}` : `$.results[${index}]`;
+        }
+
+        locateField(location, field) {
+            return this.parser ? `${location}: ${field}` : `${location}.${field}`;
+        }
+
+        addIssue(severity, location, message) {
+            this.issues.push({ severity, location, message });
+        }
+
+        describeValue(value) {
+            if (value === null) return 'null';
+            if (Array.isArray(value)) return 'an array';
+            return typeof value === 'string' ? `"${value.length > 40 ? `${value.slice(0, 40)}…` : value}"` : `${typeof value} ${JSON.stringify(value)}`;
+        }
+
+        // True when the entry can be shown
+        checkEntry(entry) {
+            const location = this.locate(this.checked++);
+            const errors = [];
+            
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                errors.push([location, `must be an object with path, ground_truth and prediction, got ${this.describeValue(entry)}`]);
+            } else {
+                ['path', 'ground_truth', 'prediction'].forEach(field => {
+                    if (!(field in entry)) {
+                        errors.push([this.locateField(location, field), 'is missing']);
+                    } else if (typeof entry[field] !== 'string') {
+                        errors.push([this.locateField(location, field), `must be a string, got ${this.describeValue(entry[field])}`]);
+                    }
+                });
+                
+                if (typeof entry.path === 'string') {
+                    const fileName = entry.path.split('/').pop();
+                    if (!entry.path.trim()) {
+                        errors.push([this.locateField(location, 'path'), 'is empty']);
+                    } else if (this.seenPaths.has(entry.path)) {
+                        errors.push([this.locateField(location, 'path'), `duplicates ${this.seenPaths.get(entry.path)}; annotations and run comparisons are keyed by path`]);
+                    } else if (!/sample_\d+\.wav$/.test(entry.path)) {
+                        this.addIssue('warning', this.locateField(location, 'path'), `"${fileName}" is not named sample_XXXXX.wav, so the sample id falls back to the file name and audio is requested from the raw path`);
+                    }
+                }
+                
+                if (typeof entry.ground_truth === 'string' && !entry.ground_truth.trim()) {
+                    this.addIssue('warning', this.locateField(location, 'ground_truth'), 'is empty, so WER and CER are undefined for this sample');
+                }
+            }
+            
+            if (errors.length) {
+                errors.forEach(([errorLocation, message]) => this.addIssue('error', errorLocation, message));
+                this.rejected++;
+                return false;
+            }
+            
+            this.seenPaths.set(entry.path, location);
+            return true;
+        }
+
+        // Run-level checks, once every entry has been seen
+        finish(info) {
+            if (this.parser) {
+                this.parser.invalidLines.forEach(({ line, reason }) => {
+                    this.addIssue('error', `line ${line}`, reason);
+                    this.rejected++;
+                });
+            }
+            
+            const field = key => (this.parser ? key : `$.${key}`);
+            const entries = this.checked + (this.parser ? this.parser.invalidLines.length : 0);
+            
+            ['model_checkpoint', 'base_model'].forEach(key => {
+                if (key in info && typeof info[key] !== 'string') {
+                    this.addIssue('warning', field(key), `should be a string, got ${this.describeValue(info[key])}`);
+                }
+            });
+            
+            ['total_samples_in_dataset', 'samples_evaluated', 'samples_skipped'].forEach(key => {
+                if (key in info && !(Number.isInteger(info[key]) && info[key] >= 0)) {
+                    this.addIssue('warning', field(key), `should be a non-negative integer, got ${this.describeValue(info[key])}`);
+                }
+            });
+            
+            if ('overall_wer' in info) {
+                if (typeof info.overall_wer !== 'number' || !isFinite(info.overall_wer) || info.overall_wer < 0) {
+                    this.addIssue('warning', field('overall_wer'), `should be a non-negative number, got ${this.describeValue(info.overall_wer)}`);
+                } else if (typeof info.overall_wer_percent === 'number' && Math.abs(info.overall_wer * 100 - info.overall_wer_percent) > 0.01) {
+                    this.addIssue('warning', field('overall_wer_percent'), `is ${info.overall_wer_percent} but overall_wer × 100 is ${(info.overall_wer * 100).toFixed(2)}`);
+                }
+            }
+            
+            if (Number.isInteger(info.samples_evaluated) && info.samples_evaluated !== entries) {
+                this.addIssue('warning', field('samples_evaluated'), `says ${info.samples_evaluated} but the file has ${entries} entries`);
+            }
+            
+            if ([info.total_samples_in_dataset, info.samples_evaluated, info.samples_skipped].every(Number.isInteger) &&
+                info.samples_evaluated + info.samples_skipped !== info.total_samples_in_dataset) {
+                this.addIssue('warning', field('total_samples_in_dataset'),
+                    `is ${info.total_samples_in_dataset} but samples_evaluated + samples_skipped is ${info.samples_evaluated + info.samples_skipped}`);
+            }
+        }
+
+        getCounts() {
+            const errors = this.issues.filter(issue => issue.severity === 'error').length;
+            return { errors, warnings: this.issues.length - errors };
+        }
+    }
+
+    // A results file must be an object with a results array; anything else cannot be shown at all
+    function checkResultsShape(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(`Invalid data format: $ must be an object with a "results" array, got ${Array.isArray(data) ? 'an array' : typeof data}`);
+        }
+        if (!Array.isArray(data.results)) {
+            throw new Error(`Invalid data format: $.results must be an array, got ${'results' in data ? typeof data.results : 'nothing'}`);
+        }
+        return data;
+    }
+
+    // A whole results file, JSON or JSON Lines. Malformed lines do not stop the parse; the returned
+    // parser (JSON Lines only) keeps them for ResultsValidator to report.
+    function parseResults(text, { name = 'results', jsonLines = false } = {}) {
+        const content = text.replace(/^\uFEFF/, '');
+        if (jsonLines) {
+            const parser = new JsonLinesParser();
+            parser.push(content);
+            parser.flush();
+            return { data: checkResultsShape(parser.toResults()), parser };
+        }
+        
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (e) {
+            throw new Error(`Invalid data format: ${name} is not valid JSON`);
+        }
+        return { data: checkResultsShape(data), parser: null };
+    }
+
+    // Checks every entry and the run fields of a parsed file; results holds only the entries that can be used
+    function validateResults(data, parser = null) {
+        const { results, ...info } = data;
+        const validator = new ResultsValidator(parser);
+        const validResults = results.filter(entry => validator.checkEntry(entry));
+        validator.finish(info);
+        return { info, results: validResults, validator };
+    }
+
+    // Corpus summary of a parsed results file in both text modes, as the dashboard shows it with no filters
+    function summarizeResults(data, normalizer = new TextNormalizer()) {
+        const results = data.results || [];
+        const diacriticAnalyzer = new DiacriticAnalyzer();
+        const summarize = mode => {
+            const texts = results.map(item => getComparisonTexts(item, mode, normalizer));
+            return {
+                ...aggregateMetrics(texts.map(pair => computeTextMetrics(pair.reference, pair.hypothesis))),
+                diacritics: (({ confusions, ...rates }) => rates)(
+                    diacriticAnalyzer.combine(texts.map(pair => diacriticAnalyzer.analyze(pair.reference, pair.hypothesis))))
+            };
+        };
+        
+        return {
+            modelCheckpoint: data.model_checkpoint || null,
+            samples: results.length,
+            reportedWer: typeof data.overall_wer === 'number' ? data.overall_wer : null,
+            normalizationRules: normalizer.getEnabledRuleIds(),
+            raw: summarize('raw'),
+            normalized: summarize('normalized')
+        };
+    }
+
+    return {
+        NORMALIZATION_RULES,
+        TextNormalizer,
+        DIACRITIC_MARKS,
+        DiacriticAnalyzer,
+        buildEditMatrix,
+        levenshteinDistance,
+        tokenizeWords,
+        alignSequences,
+        alignWords,
+        getComparisonTexts,
+        computeTextMetrics,
+        aggregateMetrics,
+        createSeededRandom,
+        bootstrapErrorRate,
+        pairedBootstrap,
+        signTest,
+        JsonLinesParser,
+        ResultsValidator,
+        checkResultsShape,
+        parseResults,
+        validateResults,
+        summarizeResults
+    };
+}));
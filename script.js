@@ -1,6 +1,39 @@
+// Shared with Node through metrics.js, which index.html loads first
+const {
+    TextNormalizer,
+    DiacriticAnalyzer,
+    tokenizeWords,
+    alignSequences,
+    alignWords,
+    getComparisonTexts,
+    computeTextMetrics,
+    aggregateMetrics,
+    createSeededRandom,
+    JsonLinesParser,
+    ResultsValidator,
+    checkResultsShape,
+    parseResults
+} = window.EvaluationMetrics;
+
+// Interface strings from i18n.js, loaded right after metrics.js
+const { LANGUAGES, Translator, detectLanguage } = window.EvaluationI18n;
+
 class AudioEvaluationApp {
     constructor() {
         this.data = null;
+        this.runInfo = null; // Top-level fields of the results file (overall_wer, model_checkpoint, ...)
+        this.runs = []; // Loaded results files; runs[0] is the primary run that drives the card list
+        this.dataUrl = 'evaluation_results_clean.json'; // Overridable with ?results=
+        this.resultsCachedAt = null; // When sw.js answered with its saved copy of dataUrl, the time that copy was fetched
+        this.loadTimeoutSeconds = 30; // Restarted on every received chunk; 0 waits forever
+        this.streamRefreshTimer = null;
+        this.metricsCache = new WeakMap();
+        this.localAudioUrls = new Map(); // WAV file name -> object URL for audio opened from disk
+        // Bootstrap intervals and paired run tests come from stats-worker.js; only the newest request is kept
+        this.statsWorker = null; // Created on first use; false once it turned out to be unavailable
+        this.statisticsRequest = null; // { id, mode, pairs, scoringKey, viewKey } of the request in flight
+        this.statistics = null; // Last answer, with the mode, run pairs and view it was computed for
+        this.statisticsTimer = null;
         this.currentFontSize = 18;
         this.minFontSize = 12;
         this.maxFontSize = 28;
@@ -11,22 +44,86 @@ class AudioEvaluationApp {
         this.currentView = 'list'; // Default to list view
         this.isLoading = false;
         this.intersectionObserver = null;
+        this.focusedIndex = null; // Card that j/k move from, kept while focus is elsewhere
+        this.modalReturnFocus = null;
+        this.audioQualityAnalyzer = new AudioQualityAnalyzer();
+        this.qualityMeasure = 'rmsDb';
+        this.qualityRenderTimer = null;
+        this.qualityObserver = null;
+        this.cardQualityRequests = new Map(); // card -> AbortController while its file waits to be analyzed
+        this.waveformView = null;
         this.isDarkMode = false;
+        this.translator = new Translator(); // Interface language; chosen in init() from the saved preference
+        
+        // Playback: "R" jumps back replaySeconds; continuous review waits reviewGapSeconds between samples
+        this.replaySeconds = 3;
+        this.reviewGapSeconds = 3;
+        this.continuousReview = false;
+        this.reviewTimer = null;
+        
+        this.annotations = new AnnotationStore();
+        this.diacriticAnalyzer = new DiacriticAnalyzer(alignSequences);
+        
+        // How card and dialog texts are drawn; alignment and metrics always see the full text
+        this.textFont = 'system'; // One of TEXT_FONTS; the font stacks live in style.css
+        this.showHarakat = true;
+        this.colorHarakat = false;
+        this.harakatPattern = new RegExp(`${this.diacriticAnalyzer.markPattern.source}+`, 'g');
+        
+        // Text normalization: 'normalized' compares texts after the enabled rule sets, 'raw' compares them verbatim
+        this.normalizer = new TextNormalizer();
+        this.textMode = 'normalized';
+        
+        // Sample ordering: original, sampleId, wer, length, errors or a seeded shuffle
+        this.sortMode = 'original';
+        this.sortDirection = 'desc';
+        this.shuffleSeed = 1;
+        
+        // Filters narrowing the primary run's results; werMax of 100 means "100% and above"
+        this.filters = this.getDefaultFilters();
+        this.searchIndex = new WeakMap();
         
-        // Pagination
+        // 'samples' shows the card list, 'insights' the corpus-wide error summary
+        this.activeSection = 'samples';
+        this.insightGroups = [];
+        
+        // Deep links: the URL hash mirrors the view so it can be shared and walked with back/forward
+        this.urlStateReady = false;
+        this.replacingUrl = false;
+        this.restoringUrl = false;
+        
+        // Pagination; continuous scroll swaps pages for a VirtualList over the whole view
+        this.pageSizes = [10, 25, 50, 100];
         this.cardsPerPage = 10;
         this.currentPage = 0;
         this.totalPages = 0;
+        this.scrollMode = false;
+        this.virtualList = null;
         
         this.init();
     }
 
     async init() {
+        this.loadLanguagePreference();
+        this.registerServiceWorker();
+        this.loadSourcePreferences();
+        this.loadNormalizationPreferences();
+        this.loadSortPreferences();
+        this.loadPageSizePreferences();
+        this.loadTextDisplayPreferences();
         this.setupEventListeners();
+        this.setupWaveform();
+        this.setupPlaybackControls();
+        this.renderNormalizationControls();
         await this.loadData();
+    }
+
+    renderResults() {
         this.setupPagination();
         this.renderCurrentPage();
         this.updateStats();
+        this.renderRunsPanel();
+        this.renderValidationReport();
     }
 
     setupEventListeners() {
@@ -41,6 +138,21 @@ class AudioEvaluationApp {
             fontDecreaseBtn.addEventListener('click', () => this.decreaseFontSize());
         }
         
+        // Text display controls
+        const textFontSelect = document.getElementById('textFont');
+        const showHarakatToggle = document.getElementById('showHarakat');
+        const colorHarakatToggle = document.getElementById('colorHarakat');
+        
+        if (textFontSelect) {
+            textFontSelect.addEventListener('change', () => this.setTextFont(textFontSelect.value));
+        }
+        if (showHarakatToggle) {
+            showHarakatToggle.addEventListener('change', () => this.setHarakatDisplay(showHarakatToggle.checked, this.colorHarakat));
+        }
+        if (colorHarakatToggle) {
+            colorHarakatToggle.addEventListener('change', () => this.setHarakatDisplay(this.showHarakat, colorHarakatToggle.checked));
+        }
+        
         // View controls
         const gridViewBtn = document.getElementById('gridView');
         const listViewBtn = document.getElementById('listView');
@@ -52,6 +164,15 @@ class AudioEvaluationApp {
             listViewBtn.addEventListener('click', () => this.setView('list'));
         }
         
+        document.querySelectorAll('[data-section]').forEach(button => {
+            button.addEventListener('click', () => this.setSection(button.dataset.section));
+        });
+        
+        const insightsContent = document.getElementById('insightsContent');
+        if (insightsContent) {
+            insightsContent.addEventListener('click', (e) => this.handleInsightClick(e));
+        }
+        
         // Modal controls
         const closeModalBtn = document.getElementById('closeModal');
         const prevSampleBtn = document.getElementById('prevSample');
@@ -84,6 +205,142 @@ class AudioEvaluationApp {
             nextPageBtn.addEventListener('click', () => this.nextPage());
         }
         
+        // Additional runs for comparison
+        const addRunForm = document.getElementById('addRunForm');
+        if (addRunForm) {
+            addRunForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = document.getElementById('runUrlInput');
+                const url = input ? input.value.trim() : '';
+                this.addRunFromUrl(url).then(() => {
+                    if (input) input.value = '';
+                });
+            });
+        }
+        
+        // Results files and audio folders from disk
+        document.querySelectorAll('.results-file-input').forEach(input => {
+            input.addEventListener('change', () => {
+                this.handleLocalFiles(Array.from(input.files || []));
+                input.value = '';
+            });
+        });
+        
+        const loadTimeoutInput = document.getElementById('loadTimeout');
+        if (loadTimeoutInput) {
+            loadTimeoutInput.addEventListener('change', () => this.setLoadTimeout(loadTimeoutInput.value));
+        }
+        
+        const runFileInput = document.getElementById('runFileInput');
+        if (runFileInput) {
+            runFileInput.addEventListener('change', () => {
+                this.handleLocalFiles(Array.from(runFileInput.files || []), { asComparison: true });
+                runFileInput.value = '';
+            });
+        }
+        
+        const audioFolderInput = document.getElementById('audioFolderInput');
+        if (audioFolderInput) {
+            audioFolderInput.addEventListener('change', () => {
+                this.handleLocalFiles(Array.from(audioFolderInput.files || []));
+                audioFolderInput.value = '';
+            });
+        }
+        
+        this.setupDropZone();
+        
+        this.setupFilterControls();
+        
+        // Review annotation export / import
+        const exportAnnotationsBtn = document.getElementById('exportAnnotations');
+        if (exportAnnotationsBtn) {
+            exportAnnotationsBtn.addEventListener('click', () => this.exportAnnotations());
+        }
+        
+        const importAnnotationsInput = document.getElementById('importAnnotations');
+        if (importAnnotationsInput) {
+            importAnnotationsInput.addEventListener('change', () => {
+                const file = importAnnotationsInput.files && importAnnotationsInput.files[0];
+                if (file) this.importAnnotations(file);
+                importAnnotationsInput.value = '';
+            });
+        }
+        
+        // Diacritic analysis is only computed while its panel is open
+        const diacriticPanel = document.getElementById('diacriticPanel');
+        if (diacriticPanel) {
+            diacriticPanel.addEventListener('toggle', () => this.renderDiacriticPanel());
+        }
+        
+        // Audio quality is analyzed for the cards on screen; the panel can analyze the whole view
+        const audioQualityPanel = document.getElementById('audioQualityPanel');
+        if (audioQualityPanel) {
+            audioQualityPanel.addEventListener('toggle', () => this.renderAudioQualityPanel());
+        }
+        
+        const analyzeAllAudioBtn = document.getElementById('analyzeAllAudio');
+        if (analyzeAllAudioBtn) {
+            analyzeAllAudioBtn.addEventListener('click', () => this.analyzeAllAudio());
+        }
+        
+        const qualityMeasureSelect = document.getElementById('qualityMeasure');
+        if (qualityMeasureSelect) {
+            qualityMeasureSelect.addEventListener('change', () => {
+                this.qualityMeasure = qualityMeasureSelect.value;
+                this.renderAudioQualityPanel();
+            });
+        }
+        
+        const qualityScatter = document.getElementById('audioQualityScatter');
+        if (qualityScatter) {
+            qualityScatter.addEventListener('click', (e) => {
+                const point = e.target.closest('[data-index]');
+                if (point) this.openModal(parseInt(point.dataset.index));
+            });
+        }
+        
+        // Report export
+        document.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', () => this.exportReport(button.dataset.exportFormat));
+        });
+        
+        // Sort controls
+        const sortSelect = document.getElementById('sortMode');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => this.setSortMode(sortSelect.value));
+        }
+        
+        const sortDirectionBtn = document.getElementById('sortDirection');
+        if (sortDirectionBtn) {
+            sortDirectionBtn.addEventListener('click', () => this.toggleSortDirection());
+        }
+        
+        const pageSizeSelect = document.getElementById('pageSize');
+        if (pageSizeSelect) {
+            pageSizeSelect.addEventListener('change', () => this.setPageSize(pageSizeSelect.value));
+        }
+        
+        const shuffleSeedInput = document.getElementById('shuffleSeed');
+        if (shuffleSeedInput) {
+            shuffleSeedInput.addEventListener('change', () => this.setShuffleSeed(shuffleSeedInput.value));
+        }
+        
+        const newSeedBtn = document.getElementById('newShuffleSeed');
+        if (newSeedBtn) {
+            newSeedBtn.addEventListener('click', () => this.setShuffleSeed(Math.floor(Math.random() * 100000)));
+        }
+        
+        // Raw / normalized comparison toggle
+        const rawTextModeBtn = document.getElementById('rawTextMode');
+        const normalizedTextModeBtn = document.getElementById('normalizedTextMode');
+        
+        if (rawTextModeBtn) {
+            rawTextModeBtn.addEventListener('click', () => this.setTextMode('raw'));
+        }
+        if (normalizedTextModeBtn) {
+            normalizedTextModeBtn.addEventListener('click', () => this.setTextMode('normalized'));
+        }
+        
         // Dark mode toggle
         const darkModeToggle = document.getElementById('darkModeToggle');
         if (darkModeToggle) {
@@ -91,25 +348,22 @@ class AudioEvaluationApp {
         }
         
         // Keyboard shortcuts - Safari optimized
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeModal();
-            } else if ((e.ctrlKey || e.metaKey) && !e.shiftKey) {
-                if (e.key === '=' || e.key === '+') {
-                    e.preventDefault();
-                    this.increaseFontSize();
-                } else if (e.key === '-') {
-                    e.preventDefault();
-                    this.decreaseFontSize();
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        
+        // Keyboard shortcut overlay
+        const showShortcutsBtn = document.getElementById('showShortcuts');
+        if (showShortcutsBtn) {
+            showShortcutsBtn.addEventListener('click', () => this.openShortcuts());
+        }
+        
+        const shortcutsDialog = document.getElementById('shortcutsDialog');
+        if (shortcutsDialog) {
+            shortcutsDialog.addEventListener('click', (e) => {
+                if (e.target.classList.contains('modal-overlay') || e.target.closest('#closeShortcuts')) {
+                    this.closeShortcuts();
                 }
-            } else if (e.key === 'ArrowLeft' && this.isModalOpen()) {
-                e.preventDefault();
-                this.navigateSample(-1);
-            } else if (e.key === 'ArrowRight' && this.isModalOpen()) {
-                e.preventDefault();
-                this.navigateSample(1);
-            }
-        });
+            });
+        }
 
         // Close modal on overlay click
         const modal = document.getElementById('modal');
@@ -123,795 +377,5111 @@ class AudioEvaluationApp {
 
         // Handle online/offline events - Safari optimized
         window.addEventListener('online', () => {
+            this.updateOfflineIndicator();
             if (!this.data && !this.isLoading) {
                 this.retryLoadData();
             }
         });
 
-        window.addEventListener('offline', () => {
-            this.showError('You are offline. Please check your connection.');
-        });
+        // Loaded samples keep working offline, so only the indicator changes
+        window.addEventListener('offline', () => this.updateOfflineIndicator());
+        this.updateOfflineIndicator();
+        
+        // play does not bubble, so listen in the capture phase to see every card and the modal
+        document.addEventListener('play', (e) => {
+            if (e.target instanceof HTMLMediaElement) this.cachePlayedAudio(e.target);
+        }, true);
+        
+        const languageSelect = document.getElementById('languageSelect');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', () => this.setLanguage(languageSelect.value));
+        }
     }
 
-    async loadData() {
-        if (this.isLoading) return;
+    // Reads the response as a stream so large files report progress; JSON Lines also hand over
+    // each batch of parsed samples through onBatch while the rest is still downloading.
+    // Resolves to { data, parser, cachedAt }; the parser (JSON Lines only) knows which line each sample came from,
+    // and cachedAt is set when sw.js served its saved copy because the network failed.
+    async fetchResults(url, { onProgress, onBatch } = {}) {
+        const controller = new AbortController();
+        let timeoutId = null;
+        // An idle timeout rather than a total one, so slow but steady downloads of big files still finish
+        const restartTimeout = () => {
+            clearTimeout(timeoutId);
+            if (this.loadTimeoutSeconds > 0) {
+                timeoutId = setTimeout(() => controller.abort(), this.loadTimeoutSeconds * 1000);
+            }
+        };
+        restartTimeout();
         
         try {
-            this.isLoading = true;
-            this.showLoading();
-            
-            // Safari-optimized fetch with timeout
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-            
-            const response = await fetch(`evaluation_results_clean.json?v=${Date.now()}`, {
+            // no-cache revalidates with the server instead of busting the URL, so sw.js can key its saved copy on it
+            const response = await fetch(url, {
                 method: 'GET',
                 headers: {
-                    'Accept': 'application/json',
+                    'Accept': 'application/json, application/x-ndjson',
                     'Cache-Control': 'no-cache'
                 },
+                cache: 'no-cache',
                 signal: controller.signal
             });
-
-            clearTimeout(timeoutId);
+            const cachedAt = response.headers.get('X-Cached-At');
 
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
-
-            const data = await response.json();
             
-            if (!data || !data.results || !Array.isArray(data.results)) {
-                throw new Error('Invalid data format');
-            }
-
-            // Apply sample reordering logic
-            this.data = this.reorderSamples(data.results);
-            this.retryCount = 0;
+            // The body is read decompressed, so the size of a gzipped response says nothing about how far along it is
+            const encoding = response.headers.get('content-encoding');
+            const total = encoding && encoding !== 'identity' ? 0 : parseInt(response.headers.get('content-length')) || 0;
+            const parser = this.isJsonLines(url, response.headers.get('content-type')) ? new JsonLinesParser() : null;
+            let text = '';
+            let loaded = 0;
             
-            console.log(`Successfully loaded ${this.data.length} audio samples with reordering applied`);
-            this.updateStats();
+            const consume = chunk => {
+                if (!parser) {
+                    text += chunk;
+                    return;
+                }
+                const batch = parser.push(chunk);
+                if (batch.length && onBatch) onBatch(batch, parser);
+            };
             
-        } catch (error) {
-            console.error('Error loading data:', error);
-            this.handleLoadError(error);
+            if (response.body && response.body.getReader) {
+                const reader = response.body.getReader();
+                const decoder = new TextDecoder();
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+                    restartTimeout();
+                    loaded += value.byteLength;
+                    consume(decoder.decode(value, { stream: true }));
+                    if (onProgress) onProgress(loaded, total);
+                }
+                consume(decoder.decode());
+            } else {
+                // No stream support: fall back to reading the body in one go
+                const body = await response.text();
+                consume(body);
+                if (onProgress) onProgress(total || body.length, total);
+            }
+            
+            if (parser) {
+                const batch = parser.flush();
+                if (batch.length && onBatch) onBatch(batch, parser);
+                return { data: checkResultsShape(parser.toResults()), parser, cachedAt };
+            }
+            return { ...parseResults(text, { name: url }), cachedAt };
         } finally {
-            this.isLoading = false;
+            clearTimeout(timeoutId);
         }
     }
 
-    reorderSamples(samples) {
-        // Extract samples 1-15 (indices 0-14) - these will be prioritized
-        const samples1to15 = samples.slice(0, 15); // samples 1-15
-        
-        // Extract samples 70-88 (indices 69-87) - these will be prioritized
-        const samples70to88 = samples.slice(69, 88); // samples 70-88
-        
-        // Extract samples 60-69 (indices 59-68) - these will go at the end
-        const samples60to69 = samples.slice(59, 69); // samples 60-69
+    isJsonLines(name, contentType = '') {
+        return /\.(jsonl|ndjson)$/i.test(name.split('?')[0]) || /ndjson|jsonl/i.test(contentType || '');
+    }
+
+    setupWaveform() {
+        const modalAudio = document.getElementById('modalAudio');
+        const wrap = document.getElementById('waveformWrap');
+        if (!modalAudio || !wrap) return;
         
-        // Extract remaining samples (16-59 and 89+) - exclude first 50 samples (1-50) as requested
-        const samples16to59 = samples.slice(15, 59); // samples 16-59 (excluding first 50)
-        const samples89plus = samples.slice(88); // samples 89+
-        const remainingSamples = [...samples16to59, ...samples89plus];
+        this.waveformView = new WaveformView(modalAudio, {
+            wrap,
+            waveformCanvas: document.getElementById('waveformCanvas'),
+            spectrogramCanvas: document.getElementById('spectrogramCanvas'),
+            overlayCanvas: document.getElementById('waveformOverlay'),
+            statusElement: document.getElementById('waveformStatus'),
+            translate: (key) => this.t(key),
+            onSelectionChange: (selection) => this.updateSelectionInfo(selection)
+        });
         
-        // Create a better mixed array using interleaving approach
-        const reorderedSamples = this.createInterleavedArray(samples1to15, samples70to88, remainingSamples, samples60to69);
+        const spectrogramToggle = document.getElementById('spectrogramToggle');
+        if (spectrogramToggle) {
+            try {
+                spectrogramToggle.checked = localStorage.getItem('preferredSpectrogram') === 'true';
+            } catch (e) {
+                console.warn('Could not load spectrogram preference:', e);
+            }
+            this.waveformView.setSpectrogramVisible(spectrogramToggle.checked);
+            
+            spectrogramToggle.addEventListener('change', () => {
+                this.waveformView.setSpectrogramVisible(spectrogramToggle.checked);
+                try {
+                    localStorage.setItem('preferredSpectrogram', spectrogramToggle.checked.toString());
+                } catch (e) {
+                    console.warn('Could not save spectrogram preference:', e);
+                }
+            });
+        }
         
-        console.log(`Reordered samples: ${samples1to15.length} samples (1-15) + ${samples70to88.length} samples (70-88) + ${remainingSamples.length} remaining samples + ${samples60to69.length} samples (60-69) at end, all properly mixed`);
+        const clearSelectionBtn = document.getElementById('clearSelection');
+        if (clearSelectionBtn) {
+            clearSelectionBtn.addEventListener('click', () => this.waveformView.setSelection(null));
+        }
         
-        return reorderedSamples;
+        window.addEventListener('resize', () => {
+            if (this.isModalOpen()) {
+                this.waveformView.render();
+            }
+        });
     }
 
-    createInterleavedArray(samples1to15, samples70to88, remainingSamples, samples60to69) {
-        const result = [];
+    setupPlaybackControls() {
+        this.loadPlaybackPreferences();
         
-        // First, mix samples 1-15 and 70-88 using interleaving to avoid consecutive numbers
-        const prioritizedSamples = [...samples1to15, ...samples70to88];
-        const shuffledPrioritized = this.shuffleArray(prioritizedSamples);
+        document.querySelectorAll('.playback-rate-select').forEach(select => {
+            select.value = this.audioManager.playbackRate.toString();
+            select.addEventListener('change', () => this.setPlaybackRate(parseFloat(select.value)));
+        });
         
-        // Add prioritized samples first
-        result.push(...shuffledPrioritized);
+        const loopSelection = document.getElementById('loopSelection');
+        if (loopSelection) {
+            loopSelection.addEventListener('change', () => {
+                if (this.waveformView) this.waveformView.setLoop(loopSelection.checked);
+            });
+        }
         
-        // Add remaining samples (16-59 and 89+)
-        result.push(...remainingSamples);
+        const replaySeconds = document.getElementById('replaySeconds');
+        if (replaySeconds) {
+            replaySeconds.value = this.replaySeconds.toString();
+            replaySeconds.addEventListener('change', () => {
+                this.replaySeconds = parseFloat(replaySeconds.value);
+                this.savePlaybackPreferences();
+            });
+        }
         
-        // Add samples 60-69 at the end
-        result.push(...samples60to69);
+        const reviewGap = document.getElementById('reviewGap');
+        if (reviewGap) {
+            reviewGap.value = this.reviewGapSeconds.toString();
+            reviewGap.addEventListener('change', () => {
+                this.reviewGapSeconds = parseFloat(reviewGap.value);
+                this.savePlaybackPreferences();
+            });
+        }
         
-        // Apply additional mixing to ensure no consecutive sample numbers from same ranges
-        return this.ensureNoConsecutiveSamples(result);
-    }
-
-    ensureNoConsecutiveSamples(samples) {
-        const result = [...samples];
-        const maxAttempts = 100;
-        let attempts = 0;
+        const continuousReviewBtn = document.getElementById('continuousReview');
+        if (continuousReviewBtn) {
+            continuousReviewBtn.addEventListener('click', () => this.toggleContinuousReview());
+        }
         
-        while (attempts < maxAttempts) {
-            let hasConsecutive = false;
-            
-            for (let i = 0; i < result.length - 1; i++) {
-                const currentSampleNum = this.extractSampleNumber(result[i].path);
-                const nextSampleNum = this.extractSampleNumber(result[i + 1].path);
-                
-                // Check if samples are consecutive and from problematic ranges
-                if (this.areConsecutiveFromSameRange(currentSampleNum, nextSampleNum)) {
-                    hasConsecutive = true;
-                    
-                    // Find a non-consecutive sample to swap with
-                    for (let j = i + 2; j < result.length; j++) {
-                        const swapSampleNum = this.extractSampleNumber(result[j].path);
-                        if (!this.areConsecutiveFromSameRange(currentSampleNum, swapSampleNum)) {
-                            // Swap the samples
-                            [result[i + 1], result[j]] = [result[j], result[i + 1]];
-                            break;
-                        }
-                    }
-                    break;
+        const modalAudio = document.getElementById('modalAudio');
+        if (modalAudio) {
+            this.audioManager.applyPlaybackRate(modalAudio);
+            modalAudio.addEventListener('play', () => this.audioManager.stopAllExcept(modalAudio));
+            modalAudio.addEventListener('ended', () => {
+                if (this.continuousReview && !(this.waveformView && this.waveformView.loop)) {
+                    this.scheduleNextReviewSample();
                 }
-            }
-            
-            if (!hasConsecutive) {
-                break;
-            }
-            
-            attempts++;
+            });
         }
-        
-        return result;
     }
 
-    areConsecutiveFromSameRange(sampleNum1, sampleNum2) {
-        // Check if two samples are consecutive numbers from the same problematic range
-        const diff = Math.abs(sampleNum1 - sampleNum2);
+    setPlaybackRate(rate) {
+        if (isNaN(rate) || rate < 0.5 || rate > 1.5) return;
+        this.audioManager.setPlaybackRate(rate);
         
-        // Consider consecutive if difference is 1 and both are in ranges that should be mixed
-        if (diff === 1) {
-            // Check if both are in 60-69 range (should be at end but not consecutive)
-            if ((sampleNum1 >= 60 && sampleNum1 <= 69) && (sampleNum2 >= 60 && sampleNum2 <= 69)) {
-                return true;
-            }
-            // Check if both are in 1-15 range (should be mixed but not consecutive)
-            if ((sampleNum1 >= 1 && sampleNum1 <= 15) && (sampleNum2 >= 1 && sampleNum2 <= 15)) {
-                return true;
-            }
-            // Check if both are in 70-88 range (should be mixed but not consecutive)
-            if ((sampleNum1 >= 70 && sampleNum1 <= 88) && (sampleNum2 >= 70 && sampleNum2 <= 88)) {
-                return true;
-            }
+        const modalAudio = document.getElementById('modalAudio');
+        if (modalAudio) {
+            this.audioManager.applyPlaybackRate(modalAudio);
         }
-        
-        return false;
+        document.querySelectorAll('.playback-rate-select').forEach(select => {
+            select.value = rate.toString();
+        });
+        this.savePlaybackPreferences();
     }
 
-    extractSampleNumber(path) {
-        const match = path.match(/sample_(\d+)\.wav$/);
-        if (match) {
-            return parseInt(match[1]);
+    // Audio the replay shortcut acts on: the modal's when it is open, otherwise the last card played
+    getActiveAudio() {
+        if (this.isModalOpen()) {
+            return document.getElementById('modalAudio');
         }
-        return 0;
+        return this.audioManager.currentAudio;
     }
 
-    shuffleArray(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    replayLastSeconds() {
+        const audio = this.getActiveAudio();
+        if (!audio) return;
+        
+        audio.currentTime = Math.max(0, audio.currentTime - this.replaySeconds);
+        if (audio.paused) {
+            audio.play().catch(error => console.warn('Could not replay audio:', error));
         }
-        return shuffled;
     }
 
-    async retryLoadData() {
-        if (this.retryCount < this.maxRetries && !this.isLoading) {
-            this.retryCount++;
-            console.log(`Retry attempt ${this.retryCount}/${this.maxRetries}`);
-            await this.loadData();
-        } else if (this.retryCount >= this.maxRetries) {
-            this.showError('Failed to load data after multiple attempts. Please refresh the page.');
+    toggleContinuousReview() {
+        if (this.continuousReview) {
+            this.stopContinuousReview();
+            return;
         }
-    }
-
-    handleLoadError(error) {
-        let errorMessage = 'Failed to load evaluation data.';
         
-        if (error.name === 'AbortError') {
-            errorMessage = 'Request timed out. Please check your connection and try again.';
-        } else if (error.name === 'TypeError' && error.message.includes('fetch')) {
-            errorMessage = 'Network error. Please check your connection and try again.';
-        } else if (error.message.includes('404')) {
-            errorMessage = 'Data file not found. Please check if the file exists.';
-        } else if (error.message.includes('Invalid data format')) {
-            errorMessage = 'Invalid data format. Please check the JSON file.';
+        this.continuousReview = true;
+        this.updateReviewStatus(this.t('continuous.playing'));
+        
+        const modalAudio = document.getElementById('modalAudio');
+        if (modalAudio) {
+            modalAudio.play().catch(error => console.warn('Could not start continuous review:', error));
         }
-
-        this.showError(errorMessage);
     }
 
-    showLoading() {
-        const loading = document.getElementById('loading');
-        const error = document.getElementById('error');
-        const container = document.getElementById('cardsContainer');
-        const pagination = document.getElementById('pagination');
-        
-        if (loading) loading.style.display = 'block';
-        if (error) error.style.display = 'none';
-        if (container) container.innerHTML = '';
-        if (pagination) pagination.style.display = 'none';
+    stopContinuousReview() {
+        this.continuousReview = false;
+        this.cancelReviewCountdown();
+        this.updateReviewStatus('');
     }
 
-    showError(message) {
-        const loading = document.getElementById('loading');
-        const error = document.getElementById('error');
-        const container = document.getElementById('cardsContainer');
-        const pagination = document.getElementById('pagination');
-        
-        if (loading) loading.style.display = 'none';
-        if (error) {
-            error.style.display = 'block';
-            const errorText = error.querySelector('.error-text');
-            if (errorText) errorText.textContent = message;
+    cancelReviewCountdown() {
+        if (this.reviewTimer) {
+            clearInterval(this.reviewTimer);
+            this.reviewTimer = null;
         }
-        if (container) container.innerHTML = '';
-        if (pagination) pagination.style.display = 'none';
     }
 
-    setupPagination() {
-        if (!this.data) return;
+    // Pause between samples so the reviewer can judge the one that just finished
+    scheduleNextReviewSample() {
+        this.cancelReviewCountdown();
         
-        this.totalPages = Math.ceil(this.data.length / this.cardsPerPage);
-        this.currentPage = 0;
+        if (this.currentSampleIndex >= this.data.length - 1) {
+            this.continuousReview = false;
+            this.updateReviewStatus(this.t('continuous.finished'));
+            return;
+        }
         
-        // Create pagination controls
-        this.createPaginationControls();
+        let remaining = Math.ceil(this.reviewGapSeconds);
+        this.updateReviewStatus(this.t('continuous.nextIn', { seconds: remaining }));
+        
+        this.reviewTimer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                this.updateReviewStatus(this.t('continuous.nextIn', { seconds: remaining }));
+                return;
+            }
+            
+            this.cancelReviewCountdown();
+            this.withoutHistoryEntry(() => this.navigateSample(1));
+            this.updateReviewStatus(this.t('continuous.playing'));
+            
+            const modalAudio = document.getElementById('modalAudio');
+            if (modalAudio) {
+                modalAudio.play().catch(error => console.warn('Could not play next sample:', error));
+            }
+        }, 1000);
     }
 
-    createPaginationControls() {
-        const pagination = document.getElementById('pagination');
-        if (!pagination) return;
-        
-        pagination.innerHTML = `
-            <div class="pagination-info">
-                <span id="pageInfo">Page 1 of ${this.totalPages}</span>
-                <span id="itemInfo">Showing 1-${Math.min(this.cardsPerPage, this.data.length)} of ${this.data.length} samples</span>
-            </div>
-            <div class="pagination-controls">
-                <button id="prevPage" class="page-btn prev-btn" disabled>
-                    <span>← Previous</span>
-                </button>
-                <button id="nextPage" class="page-btn next-btn">
-                    <span>Next →</span>
-                </button>
-            </div>
-        `;
-        
-        // Add event listeners
-        const prevPageBtn = document.getElementById('prevPage');
-        const nextPageBtn = document.getElementById('nextPage');
-        
-        if (prevPageBtn) {
-            prevPageBtn.addEventListener('click', () => this.previousPage());
+    updateReviewStatus(message) {
+        const status = document.getElementById('reviewStatus');
+        const button = document.getElementById('continuousReview');
+        if (status) status.textContent = message;
+        if (button) {
+            button.classList.toggle('active', this.continuousReview);
+            button.textContent = this.t(this.continuousReview ? 'continuous.stop' : 'continuous.start');
         }
-        if (nextPageBtn) {
-            nextPageBtn.addEventListener('click', () => this.nextPage());
+    }
+
+    loadPlaybackPreferences() {
+        try {
+            const savedRate = parseFloat(localStorage.getItem('preferredPlaybackRate'));
+            if (!isNaN(savedRate) && savedRate >= 0.5 && savedRate <= 1.5) {
+                this.audioManager.setPlaybackRate(savedRate);
+            }
+            const savedReplay = parseFloat(localStorage.getItem('preferredReplaySeconds'));
+            if (!isNaN(savedReplay) && savedReplay > 0) {
+                this.replaySeconds = savedReplay;
+            }
+            const savedGap = parseFloat(localStorage.getItem('preferredReviewGap'));
+            if (!isNaN(savedGap) && savedGap > 0) {
+                this.reviewGapSeconds = savedGap;
+            }
+        } catch (e) {
+            console.warn('Could not load playback preference:', e);
         }
-        
-        pagination.style.display = 'flex';
     }
 
-    previousPage() {
-        if (this.currentPage > 0) {
-            this.currentPage--;
-            this.renderCurrentPage();
-            this.updatePaginationControls();
-            this.scrollToTop();
+    savePlaybackPreferences() {
+        try {
+            localStorage.setItem('preferredPlaybackRate', this.audioManager.playbackRate.toString());
+            localStorage.setItem('preferredReplaySeconds', this.replaySeconds.toString());
+            localStorage.setItem('preferredReviewGap', this.reviewGapSeconds.toString());
+        } catch (e) {
+            console.warn('Could not save playback preference:', e);
         }
     }
 
-    nextPage() {
-        if (this.currentPage < this.totalPages - 1) {
-            this.currentPage++;
-            this.renderCurrentPage();
-            this.updatePaginationControls();
-            this.scrollToTop();
+    updateSelectionInfo(selection) {
+        const info = document.getElementById('waveformSelection');
+        const clearSelectionBtn = document.getElementById('clearSelection');
+        if (info) {
+            info.textContent = selection
+                ? this.t('waveform.selection', {
+                    start: selection.start.toFixed(2),
+                    end: selection.end.toFixed(2),
+                    length: (selection.end - selection.start).toFixed(2)
+                })
+                : this.t('waveform.hint');
+        }
+        if (clearSelectionBtn) {
+            clearSelectionBtn.style.display = selection ? 'inline-flex' : 'none';
         }
     }
 
-    updatePaginationControls() {
-        const prevPageBtn = document.getElementById('prevPage');
-        const nextPageBtn = document.getElementById('nextPage');
-        const pageInfo = document.getElementById('pageInfo');
-        const itemInfo = document.getElementById('itemInfo');
+    setupDropZone() {
+        const overlay = document.getElementById('dropOverlay');
+        let dragDepth = 0;
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
         
-        if (prevPageBtn) {
-            prevPageBtn.disabled = this.currentPage === 0;
+        document.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            dragDepth++;
+            if (overlay) overlay.style.display = 'flex';
+        });
+        
+        document.addEventListener('dragover', (e) => {
+            if (hasFiles(e)) e.preventDefault();
+        });
+        
+        document.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e)) return;
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0 && overlay) overlay.style.display = 'none';
+        });
+        
+        document.addEventListener('drop', async (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth = 0;
+            if (overlay) overlay.style.display = 'none';
+            
+            const files = await this.collectDroppedFiles(e.dataTransfer);
+            this.handleLocalFiles(files);
+        });
+    }
+
+    async loadData() {
+        if (this.isLoading) return;
+        
+        try {
+            this.isLoading = true;
+            this.showLoading();
+            
+            // JSON Lines render from the first batch on; plain JSON once the whole file is in
+            let run = null;
+            const { data, parser, cachedAt } = await this.fetchResults(this.dataUrl, {
+                onProgress: (loaded, total) => this.updateLoadProgress(loaded, total, run ? run.results.length : 0),
+                onBatch: (items, batchParser) => {
+                    if (!run) {
+                        this.runs = [];
+                        run = this.createRun({ ...batchParser.info, results: [] }, this.dataUrl, batchParser, { streaming: true });
+                        this.appendRunResults(run, items);
+                        this.setPrimaryRun(run);
+                        this.renderResults();
+                    } else {
+                        this.appendRunResults(run, items);
+                        this.scheduleStreamRefresh();
+                    }
+                }
+            });
+            
+            if (run) {
+                // Metadata lines can appear anywhere in the file
+                const { results, ...info } = data;
+                Object.assign(run.info, info);
+                this.runInfo = run.info;
+                run.validation.finish(run.info);
+                this.renderRunInfo();
+                this.refreshLoadedResults();
+                this.announceView();
+            } else {
+                this.runs = [];
+                this.setPrimaryRun(this.createRun(data, this.dataUrl, parser));
+                this.renderResults();
+            }
+            this.retryCount = 0;
+            this.resultsCachedAt = cachedAt;
+            this.updateOfflineIndicator();
+            this.setStatus(this.t('status.ready'), 'ready');
+            this.setupUrlState();
+            
+            console.log(`Successfully loaded ${this.data.length} audio samples`);
+            
+        } catch (error) {
+            console.error('Error loading data:', error);
+            this.setStatus(this.t('status.error'), 'error');
+            this.handleLoadError(error);
+        } finally {
+            this.isLoading = false;
         }
-        if (nextPageBtn) {
-            nextPageBtn.disabled = this.currentPage === this.totalPages - 1;
+    }
+
+    appendRunResults(run, items) {
+        items.forEach(item => {
+            if (!run.validation.checkEntry(item)) return;
+            run.results.push(item);
+            run.resultsByPath.set(item.path, item);
+        });
+    }
+
+    scheduleStreamRefresh() {
+        if (this.streamRefreshTimer) return;
+        this.streamRefreshTimer = setTimeout(() => this.refreshLoadedResults(), 300);
+    }
+
+    // Fold newly streamed samples into the view without rebuilding cards that are already on screen
+    refreshLoadedResults() {
+        clearTimeout(this.streamRefreshTimer);
+        this.streamRefreshTimer = null;
+        if (!this.runs.length) return;
+        
+        this.withoutHistoryEntry(() => this.foldLoadedResults());
+    }
+
+    foldLoadedResults() {
+        const previous = this.data || [];
+        const next = this.buildView();
+        const openItem = this.isModalOpen() ? previous[this.currentSampleIndex] : null;
+        
+        // In a sorted view new samples land in between the old ones. Cards are only rebuilt when
+        // one of those on screen now stands for another sample; elsewhere only the indices move.
+        const startIndex = this.currentPage * this.cardsPerPage;
+        const shownIndices = this.virtualList
+            ? Array.from(this.virtualList.rendered.keys())
+            : Array.from({ length: Math.max(0, Math.min(this.cardsPerPage, previous.length - startIndex)) }, (_, offset) => startIndex + offset);
+        const cardsMoved = shownIndices.some(index => next[index] !== previous[index]);
+        
+        this.data = next;
+        this.totalPages = Math.max(1, Math.ceil(next.length / this.cardsPerPage));
+        this.updatePaginationControls();
+        if (openItem) {
+            // Streaming only adds samples, so the open one is still in the view
+            this.currentSampleIndex = next.indexOf(openItem);
+            this.updateModalTitle();
         }
-        if (pageInfo) {
-            pageInfo.textContent = `Page ${this.currentPage + 1} of ${this.totalPages}`;
+        
+        if (this.virtualList) {
+            this.virtualList.resize(next.length);
+            if (cardsMoved) this.virtualList.refresh();
+        } else if (cardsMoved || (this.currentPage + 1) * this.cardsPerPage > previous.length) {
+            // Cards moved, or the current page was not full yet
+            this.renderCurrentPage();
         }
-        if (itemInfo) {
-            const startItem = this.currentPage * this.cardsPerPage + 1;
-            const endItem = Math.min((this.currentPage + 1) * this.cardsPerPage, this.data.length);
-            itemInfo.textContent = `Showing ${startItem}-${endItem} of ${this.data.length} samples`;
+        document.querySelectorAll('.audio-card').forEach(card => card.setAttribute('aria-setsize', next.length));
+        this.updateStats();
+        this.renderRunsPanel();
+        this.renderValidationReport();
+    }
+
+    updateLoadProgress(loaded, total, samples) {
+        const percent = total ? Math.min(100, Math.round((loaded / total) * 100)) : null;
+        const size = total ? this.t('loading.size', { loaded: this.formatBytes(loaded), total: this.formatBytes(total) }) : this.formatBytes(loaded);
+        const details = `${size}${percent !== null ? ` (${percent}%)` : ''}${samples ? ` · ${this.formatSampleCount(samples)}` : ''}`;
+        
+        const loadingText = document.querySelector('#loading .loading-text');
+        if (loadingText) {
+            loadingText.textContent = this.t('loading.progress', { details });
         }
+        
+        const progressBar = document.getElementById('loadingProgressBar');
+        if (progressBar) {
+            progressBar.classList.toggle('indeterminate', percent === null);
+            progressBar.style.width = percent === null ? '' : `${percent}%`;
+        }
+        
+        // The loading box disappears once the first cards render, so the stats bar keeps counting
+        this.setStatus(percent === null ? this.t('status.loading') : this.t('status.loadingPercent', { percent }), 'loading', details);
     }
 
-    scrollToTop() {
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+    setStatus(text, state, title = '') {
+        const status = document.getElementById('status');
+        if (!status) return;
+        status.textContent = text;
+        status.className = `stat-value status-${state}`;
+        status.title = title;
     }
 
-    renderCurrentPage() {
-        const loading = document.getElementById('loading');
-        const error = document.getElementById('error');
-        const container = document.getElementById('cardsContainer');
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // ?results= picks the file to load and ?timeout= (seconds) overrides the saved load timeout
+    loadSourcePreferences() {
+        try {
+            const savedTimeout = parseInt(localStorage.getItem('preferredLoadTimeout'));
+            if (!isNaN(savedTimeout) && savedTimeout >= 0) {
+                this.loadTimeoutSeconds = savedTimeout;
+            }
+        } catch (e) {
+            console.warn('Could not load timeout preference:', e);
+        }
         
-        if (!this.data) {
-            return;
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('results')) {
+            this.dataUrl = params.get('results');
+        }
+        const timeout = parseInt(params.get('timeout'));
+        if (!isNaN(timeout) && timeout >= 0) {
+            this.loadTimeoutSeconds = timeout;
         }
-
-        if (loading) loading.style.display = 'none';
-        if (error) error.style.display = 'none';
         
-        if (!container) return;
+        const timeoutInput = document.getElementById('loadTimeout');
+        if (timeoutInput) timeoutInput.value = this.loadTimeoutSeconds;
+    }
 
-        // Clear existing cards
-        container.innerHTML = '';
+    setLoadTimeout(seconds) {
+        const parsed = parseInt(seconds);
+        if (isNaN(parsed) || parsed < 0) return;
+        this.loadTimeoutSeconds = parsed;
+        try {
+            localStorage.setItem('preferredLoadTimeout', String(parsed));
+        } catch (e) {
+            console.warn('Could not save timeout preference:', e);
+        }
+    }
+
+    // Order the primary run's results by the selected sort mode; ties keep the file order
+    sortSamples(samples) {
+        if (this.sortMode === 'shuffle') {
+            return this.shuffleArray(samples, createSeededRandom(this.shuffleSeed));
+        }
         
-        // Calculate current page data
-        const startIndex = this.currentPage * this.cardsPerPage;
-        const endIndex = Math.min(startIndex + this.cardsPerPage, this.data.length);
-        const currentPageData = this.data.slice(startIndex, endIndex);
+        const direction = this.sortMode !== 'original' && this.sortDirection === 'desc' ? -1 : 1;
+        const keyed = samples.map((item, index) => ({ item, index, key: this.getSortKey(item, index) }));
         
-        // Render only current page cards
-        currentPageData.forEach((item, index) => {
-            const globalIndex = startIndex + index;
-            const card = this.createAudioCard(item, globalIndex);
-            container.appendChild(card);
+        keyed.sort((a, b) => {
+            // Samples without a value (e.g. WER of an empty reference) always go last
+            if (a.key === null && b.key !== null) return 1;
+            if (b.key === null && a.key !== null) return -1;
+            if (a.key !== null && b.key !== null && a.key !== b.key) {
+                return (a.key < b.key ? -1 : 1) * direction;
+            }
+            return a.index - b.index;
         });
         
-        // Set up lazy loading for current page
-        this.setupCardObservers();
-        this.loadPreferences();
+        return keyed.map(entry => entry.item);
     }
 
-    createAudioCard(item, index) {
-        const card = document.createElement('div');
-        card.className = 'audio-card';
-        card.dataset.index = index;
-        
-        // Display sequential sample number (1-400) in UI, but keep original path for audio
-        const displaySampleNumber = index + 1;
+    getSortKey(item, index) {
+        switch (this.sortMode) {
+            case 'sampleId':
+                return this.extractSampleNumber(item.path);
+            case 'wer':
+                return this.getSampleMetrics(item).wer;
+            case 'length':
+                return tokenizeWords(item.ground_truth).length;
+            case 'errors':
+                return this.getSampleMetrics(item).wordErrors;
+            default:
+                return index;
+        }
+    }
+
+    // Digits of a sample_XXXXX.wav file name, zero padding kept, or null for other names
+    matchSampleDigits(path) {
+        const match = path.match(/sample_(\d+)\.wav$/);
+        return match ? match[1] : null;
+    }
+
+    extractSampleNumber(path) {
+        const digits = this.matchSampleDigits(path);
+        return digits ? parseInt(digits) : 0;
+    }
+
+    // Real sample id from the file name, independent of where the sample is displayed
+    getSampleId(item) {
+        return this.matchSampleDigits(item.path) || item.path.split('/').pop();
+    }
+
+    shuffleArray(array, random = Math.random) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    setSortMode(mode) {
+        this.sortMode = mode;
+        this.saveSortPreferences();
+        this.applyView();
+    }
+
+    toggleSortDirection() {
+        this.sortDirection = this.sortDirection === 'desc' ? 'asc' : 'desc';
+        this.saveSortPreferences();
+        this.applyView();
+    }
+
+    setShuffleSeed(seed) {
+        const parsed = parseInt(seed);
+        if (isNaN(parsed)) return;
+        this.shuffleSeed = parsed;
+        this.saveSortPreferences();
+        if (this.sortMode === 'shuffle') {
+            this.applyView();
+        }
+    }
+
+    // Runs once, when the first results are in; a failed load leaves it for the retry or a file opened from disk
+    setupUrlState() {
+        if (this.urlStateReady || !this.runs.length) return;
         
-        // NO <source> tags up front - lazy load them
-        card.innerHTML = `
-            <div class="sample-info">Sample #${displaySampleNumber}</div>
-            
-            <audio class="audio-player" controls preload="none" data-path="${this.mapAudioPath(item.path)}" data-index="${index}">
-                Your browser does not support the audio element.
-            </audio>
-            
-            <div class="text-section ground-truth">
-                <h3>Ground Truth</h3>
-                <div class="text-content" style="font-size: ${this.currentFontSize}px">${this.escapeHtml(item.ground_truth)}</div>
-            </div>
-            
-            <div class="text-section prediction">
-                <h3>Model Prediction</h3>
-                <div class="text-content" style="font-size: ${this.currentFontSize}px">${this.escapeHtml(item.prediction)}</div>
-            </div>
-        `;
+        // A shared link wins over saved preferences; without one, the current view becomes the first entry
+        if (window.location.hash.length > 1) {
+            this.applyUrlState();
+        }
+        this.urlStateReady = true;
+        history.replaceState(null, '', this.buildStateUrl(this.getUrlState()));
         
-        // Add click handler for modal
-        card.addEventListener('click', (e) => {
-            if (!e.target.closest('audio')) {
-                this.openModal(index);
+        window.addEventListener('hashchange', () => {
+            if (window.location.hash.slice(1) !== this.getUrlState()) {
+                this.applyUrlState();
             }
         });
+    }
+
+    // Only non-default values are written so links stay short
+    getUrlState() {
+        const params = new URLSearchParams();
+        const defaults = this.getDefaultFilters();
         
-        // Add audio event handlers - lazy load sources
-        const audio = card.querySelector('audio');
-        if (audio) {
-            // Load sources only on first user play
-            const ensureSources = () => {
-                if (audio.dataset.loaded) return;
-                const path = audio.getAttribute('data-path');
-                const s1 = document.createElement('source');
-                s1.src = path;
-                s1.type = 'audio/wav';
-                audio.appendChild(s1);
-                audio.dataset.loaded = '1';
-                audio.load();
+        if (this.activeSection !== 'samples') params.set('section', this.activeSection);
+        if (this.currentView !== 'list') params.set('view', this.currentView);
+        if (this.textMode !== 'normalized') params.set('text', this.textMode);
+        
+        if (this.sortMode !== 'original') {
+            params.set('sort', this.sortMode);
+            if (this.sortMode === 'shuffle') {
+                params.set('seed', this.shuffleSeed);
+            } else {
+                params.set('dir', this.sortDirection);
+            }
+        }
+        
+        if (this.filters.query.trim()) params.set('q', this.filters.query.trim());
+        if (this.filters.ignoreHarakat !== defaults.ignoreHarakat) params.set('harakat', this.filters.ignoreHarakat ? 'ignore' : 'match');
+        if (this.filters.normalizeHamza !== defaults.normalizeHamza) params.set('hamza', this.filters.normalizeHamza ? 'fold' : 'match');
+        if (this.filters.werMin !== defaults.werMin || this.filters.werMax !== defaults.werMax) {
+            params.set('wer', `${this.filters.werMin}-${this.filters.werMax}`);
+        }
+        if (this.filters.match !== defaults.match) params.set('match', this.filters.match);
+        if (this.filters.errorTypes.length) params.set('has', this.filters.errorTypes.join(','));
+        if (this.filters.focus) {
+            // Sample ids instead of full paths keep insight links readable
+            params.set('focus', this.filters.focus.paths.map(path => this.getSampleId({ path })).join(','));
+            params.set('focusLabel', this.filters.focus.label);
+        }
+        
+        if (this.scrollMode) {
+            params.set('size', 'scroll');
+        } else if (this.cardsPerPage !== 10) {
+            params.set('size', this.cardsPerPage);
+        }
+        if (this.currentPage > 0 && !this.scrollMode) params.set('page', this.currentPage + 1);
+        if (this.isModalOpen() && this.data && this.data[this.currentSampleIndex]) {
+            params.set('sample', this.getSampleId(this.data[this.currentSampleIndex]));
+        }
+        
+        return params.toString();
+    }
+
+    buildStateUrl(state) {
+        return `${window.location.pathname}${window.location.search}${state ? `#${state}` : ''}`;
+    }
+
+    // Each view the user navigates to becomes a history entry; restoring from the URL must not push new ones
+    syncUrl() {
+        if (!this.urlStateReady || this.restoringUrl) return;
+        
+        const state = this.getUrlState();
+        if (state === window.location.hash.slice(1)) return;
+        if (this.replacingUrl) {
+            history.replaceState(null, '', this.buildStateUrl(state));
+        } else {
+            history.pushState(null, '', this.buildStateUrl(state));
+        }
+    }
+
+    // For changes the user did not navigate to (typing a search, streaming, playback moving on):
+    // the URL follows, but Back should not step through every one of them
+    withoutHistoryEntry(update) {
+        const replacing = this.replacingUrl;
+        this.replacingUrl = true;
+        try {
+            update();
+        } finally {
+            this.replacingUrl = replacing;
+        }
+    }
+
+    applyUrlState() {
+        if (!this.runs.length) return;
+        
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const defaults = this.getDefaultFilters();
+        this.restoringUrl = true;
+        
+        try {
+            this.textMode = params.get('text') === 'raw' ? 'raw' : 'normalized';
+            this.updateTextModeControls();
+            
+            const sort = params.get('sort');
+            this.sortMode = ['sampleId', 'wer', 'length', 'errors', 'shuffle'].includes(sort) ? sort : 'original';
+            this.sortDirection = params.get('dir') === 'asc' ? 'asc' : 'desc';
+            const seed = parseInt(params.get('seed'));
+            if (!isNaN(seed)) this.shuffleSeed = seed;
+            
+            const [werMin, werMax] = (params.get('wer') || '').split('-').map(value => parseInt(value));
+            const focusIds = params.get('focus') ? params.get('focus').split(',') : null;
+            this.filters = {
+                ...defaults,
+                query: params.get('q') || '',
+                ignoreHarakat: params.has('harakat') ? params.get('harakat') === 'ignore' : defaults.ignoreHarakat,
+                normalizeHamza: params.has('hamza') ? params.get('hamza') === 'fold' : defaults.normalizeHamza,
+                werMin: werMin >= 0 && werMin <= 100 ? werMin : defaults.werMin,
+                werMax: werMax >= 0 && werMax <= 100 ? werMax : defaults.werMax,
+                match: ['exact', 'errors'].includes(params.get('match')) ? params.get('match') : defaults.match,
+                errorTypes: (params.get('has') || '').split(',').filter(type => ['substitutions', 'insertions', 'deletions'].includes(type)),
+                focus: focusIds ? {
+                    label: params.get('focusLabel') || this.t('filters.linkedSamples'),
+                    paths: this.runs[0].results.filter(item => focusIds.includes(this.getSampleId(item))).map(item => item.path)
+                } : null
             };
+            // A reversed range would hide every sample; read it as the range it names
+            if (this.filters.werMin > this.filters.werMax) {
+                [this.filters.werMin, this.filters.werMax] = [this.filters.werMax, this.filters.werMin];
+            }
             
-            audio.addEventListener('play', () => {
-                ensureSources();
-                this.audioManager.stopAllExcept(audio);
-                card.classList.add('playing');
-            });
+            const size = params.get('size');
+            this.scrollMode = size === 'scroll';
+            this.cardsPerPage = this.pageSizes.includes(parseInt(size)) ? parseInt(size) : 10;
             
-            audio.addEventListener('pause', () => {
-                card.classList.remove('playing');
-            });
+            this.updateSortControls();
+            this.updateFilterControls();
+            this.updatePageSizeControl();
+            this.setView(params.get('view') === 'grid' ? 'grid' : 'list');
             
-            audio.addEventListener('ended', () => {
-                card.classList.remove('playing');
-            });
+            this.data = this.buildView();
+            this.setupPagination();
+            const page = parseInt(params.get('page')) || 1;
+            this.currentPage = Math.min(Math.max(page - 1, 0), this.totalPages - 1);
+            this.updatePaginationControls();
+            this.renderCurrentPage();
+            this.updateStats();
+            this.renderRunsPanel();
+            this.setSection(params.get('section') === 'insights' ? 'insights' : 'samples');
             
-            // Safari-specific audio optimizations
-            audio.addEventListener('error', (e) => {
-                console.warn('Audio error:', e);
-                card.classList.add('audio-error');
-            });
+            const sampleId = params.get('sample');
+            const sampleIndex = sampleId ? this.data.findIndex(item => this.getSampleId(item) === sampleId) : -1;
+            if (sampleIndex !== -1) {
+                this.openModal(sampleIndex);
+            } else if (this.isModalOpen()) {
+                this.closeModal();
+            }
+        } finally {
+            this.restoringUrl = false;
         }
-        
-        return card;
     }
 
-    // Set up intersection observer for lazy loading
-    setupCardObservers() {
-        if (this.intersectionObserver) {
-            this.intersectionObserver.disconnect();
+    // Filter then sort the primary run's results into the list the cards and modal page through
+    buildView() {
+        return this.sortSamples(this.filterSamples(this.runs[0].results));
+    }
+
+    applyView() {
+        this.updateSortControls();
+        if (!this.runs.length) return;
+        const openItem = this.isModalOpen() ? this.data[this.currentSampleIndex] : null;
+        this.data = this.buildView();
+        
+        // The dialog follows its sample to its new position, or closes when the filters drop it
+        if (openItem) {
+            const openIndex = this.data.findIndex(item => item.path === openItem.path);
+            if (openIndex === -1) {
+                this.closeModal();
+            } else {
+                this.currentSampleIndex = openIndex;
+                this.updateModalTitle();
+            }
         }
+        this.setupPagination();
+        this.renderCurrentPage();
+        this.updateStats();
+        // While a file streams in, loadData announces the view once it is complete
+        if (!this.isLoading) this.announceView();
+    }
 
-        this.intersectionObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const audio = entry.target.querySelector('audio');
-                    if (audio && !audio.dataset.loaded) {
-                        // Preload audio when card comes into view
-                        const path = audio.getAttribute('data-path');
-                        const s1 = document.createElement('source');
-                        s1.src = path;
-                        s1.type = 'audio/wav';
-                        audio.appendChild(s1);
-                        audio.dataset.loaded = '1';
-                        audio.load();
-                    }
-                }
-            });
-        }, { 
-            rootMargin: '200px' // Start loading when 200px away from viewport
-        });
+    announceView() {
+        this.announce(this.t('announce.view', { shown: this.data.length, count: this.runs[0].results.length, wer: this.formatPercent(this.computeCorpusMetrics(this.data).wer) }));
+    }
 
-        // Observe all audio cards on current page
-        document.querySelectorAll('.audio-card').forEach(card => {
-            this.intersectionObserver.observe(card);
-        });
+    getDefaultFilters() {
+        return {
+            query: '',
+            ignoreHarakat: true,
+            normalizeHamza: true,
+            werMin: 0,
+            werMax: 100,
+            match: 'all', // 'all' | 'exact' | 'errors'
+            errorTypes: [], // any of 'substitutions', 'insertions', 'deletions'
+            focus: null // { label, paths } picked from the insights view
+        };
     }
 
-    openModal(index) {
-        if (!this.data || index < 0 || index >= this.data.length) return;
-        
-        this.currentSampleIndex = index;
-        const item = this.data[index];
-        const displaySampleNumber = index + 1; // Sequential display number
+    isFiltered() {
+        const defaults = this.getDefaultFilters();
+        return this.filters.query.trim() !== '' ||
+            this.filters.werMin !== defaults.werMin ||
+            this.filters.werMax !== defaults.werMax ||
+            this.filters.match !== defaults.match ||
+            this.filters.errorTypes.length > 0 ||
+            this.filters.focus !== null;
+    }
+
+    filterSamples(samples) {
+        if (!this.isFiltered()) return samples;
         
-        // Update modal content
-        const modalTitle = document.getElementById('modalTitle');
-        const modalGroundTruth = document.getElementById('modalGroundTruth');
-        const modalPrediction = document.getElementById('modalPrediction');
+        const query = this.normalizeSearchText(this.filters.query);
+        const werMin = this.filters.werMin / 100;
+        const werMax = this.filters.werMax >= 100 ? Infinity : this.filters.werMax / 100;
+        const werRangeActive = this.filters.werMin > 0 || this.filters.werMax < 100;
+        const focusPaths = this.filters.focus ? new Set(this.filters.focus.paths) : null;
         
-        if (modalTitle) modalTitle.textContent = `Sample #${displaySampleNumber} Analysis`;
-        if (modalGroundTruth) modalGroundTruth.textContent = item.ground_truth;
-        if (modalPrediction) modalPrediction.textContent = item.prediction;
+        return samples.filter(item => {
+            if (focusPaths && !focusPaths.has(item.path)) return false;
+            
+            const metrics = this.getSampleMetrics(item);
+            
+            if (this.filters.match === 'exact' && metrics.wordErrors > 0) return false;
+            if (this.filters.match === 'errors' && metrics.wordErrors === 0) return false;
+            
+            if (werRangeActive) {
+                if (metrics.wer === null || metrics.wer < werMin || metrics.wer > werMax) return false;
+            }
+            
+            if (this.filters.errorTypes.length && !this.filters.errorTypes.some(type => metrics[type] > 0)) {
+                return false;
+            }
+            
+            return !query || this.getSearchText(item).includes(query);
+        });
+    }
+
+    // Search matching optionally ignores harakat and folds hamza/alef/yeh forms on both sides
+    getSearchNormalizer() {
+        const ruleIds = ['markOrder', 'tatweel', 'pauseMarks', 'sukun', 'tanween', 'smallLetters'];
+        if (this.filters.ignoreHarakat) ruleIds.push('diacritics');
+        if (this.filters.normalizeHamza) ruleIds.push('alef', 'alefMaksura', 'hamza');
+        return new TextNormalizer(ruleIds);
+    }
+
+    normalizeSearchText(text) {
+        return this.getSearchNormalizer().normalize(text);
+    }
+
+    getSearchText(item) {
+        const key = `${this.filters.ignoreHarakat}|${this.filters.normalizeHamza}`;
+        const cached = this.searchIndex.get(item);
+        if (cached && cached.key === key) return cached.text;
+        
+        const normalizer = this.getSearchNormalizer();
+        const text = `${normalizer.normalize(item.ground_truth)}\n${normalizer.normalize(item.prediction)}`;
+        this.searchIndex.set(item, { key, text });
+        return text;
+    }
+
+    setFilter(name, value) {
+        this.filters[name] = value;
+        this.applyView();
+    }
+
+    clearFilters() {
+        this.filters = this.getDefaultFilters();
+        this.updateFilterControls();
+        this.applyView();
+    }
+
+    updateFilterControls() {
+        const searchInput = document.getElementById('searchInput');
+        const ignoreHarakat = document.getElementById('searchIgnoreHarakat');
+        const normalizeHamza = document.getElementById('searchNormalizeHamza');
+        const werMin = document.getElementById('werMin');
+        const werMax = document.getElementById('werMax');
+        
+        if (searchInput) searchInput.value = this.filters.query;
+        if (ignoreHarakat) ignoreHarakat.checked = this.filters.ignoreHarakat;
+        if (normalizeHamza) normalizeHamza.checked = this.filters.normalizeHamza;
+        if (werMin) werMin.value = this.filters.werMin;
+        if (werMax) werMax.value = this.filters.werMax;
+        this.updateWerRangeLabel();
+        
+        document.querySelectorAll('[data-match-filter]').forEach(button => {
+            button.classList.toggle('active', button.dataset.matchFilter === this.filters.match);
+        });
+        document.querySelectorAll('[data-error-type]').forEach(input => {
+            input.checked = this.filters.errorTypes.includes(input.dataset.errorType);
+        });
+        
+        const focusRow = document.getElementById('focusFilterRow');
+        const focusLabel = document.getElementById('focusFilterLabel');
+        if (focusRow && focusLabel) {
+            focusRow.style.display = this.filters.focus ? 'flex' : 'none';
+            focusLabel.textContent = this.filters.focus
+                ? this.t('filters.focusLabel', { label: this.filters.focus.label, samples: this.formatSampleCount(this.filters.focus.paths.length) })
+                : '';
+        }
+    }
+
+    updateWerRangeLabel() {
+        const label = document.getElementById('werRangeLabel');
+        if (label) {
+            const max = this.filters.werMax >= 100 ? '100%+' : `${this.filters.werMax}%`;
+            label.textContent = `${this.filters.werMin}% – ${max}`;
+        }
+    }
+
+    setupFilterControls() {
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) {
+            let debounceId = null;
+            searchInput.addEventListener('input', () => {
+                clearTimeout(debounceId);
+                debounceId = setTimeout(() => this.withoutHistoryEntry(() => this.setFilter('query', searchInput.value)), 200);
+            });
+        }
+        
+        const ignoreHarakat = document.getElementById('searchIgnoreHarakat');
+        if (ignoreHarakat) {
+            ignoreHarakat.addEventListener('change', () => this.setFilter('ignoreHarakat', ignoreHarakat.checked));
+        }
+        
+        const normalizeHamza = document.getElementById('searchNormalizeHamza');
+        if (normalizeHamza) {
+            normalizeHamza.addEventListener('change', () => this.setFilter('normalizeHamza', normalizeHamza.checked));
+        }
+        
+        // Keep the two range thumbs from crossing
+        const werMin = document.getElementById('werMin');
+        const werMax = document.getElementById('werMax');
+        if (werMin && werMax) {
+            werMin.addEventListener('input', () => {
+                if (parseInt(werMin.value) > parseInt(werMax.value)) werMin.value = werMax.value;
+                this.filters.werMin = parseInt(werMin.value);
+                this.updateWerRangeLabel();
+            });
+            werMax.addEventListener('input', () => {
+                if (parseInt(werMax.value) < parseInt(werMin.value)) werMax.value = werMin.value;
+                this.filters.werMax = parseInt(werMax.value);
+                this.updateWerRangeLabel();
+            });
+            werMin.addEventListener('change', () => this.applyView());
+            werMax.addEventListener('change', () => this.applyView());
+        }
+        
+        document.querySelectorAll('[data-match-filter]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setFilter('match', button.dataset.matchFilter);
+                this.updateFilterControls();
+            });
+        });
+        
+        document.querySelectorAll('[data-error-type]').forEach(input => {
+            input.addEventListener('change', () => {
+                const types = Array.from(document.querySelectorAll('[data-error-type]'))
+                    .filter(checkbox => checkbox.checked)
+                    .map(checkbox => checkbox.dataset.errorType);
+                this.setFilter('errorTypes', types);
+            });
+        });
+        
+        const clearFiltersBtn = document.getElementById('clearFilters');
+        if (clearFiltersBtn) {
+            clearFiltersBtn.addEventListener('click', () => this.clearFilters());
+        }
+        
+        const clearFocusBtn = document.getElementById('clearFocusFilter');
+        if (clearFocusBtn) {
+            clearFocusBtn.addEventListener('click', () => {
+                this.setFilter('focus', null);
+                this.updateFilterControls();
+            });
+        }
+        
+        this.updateFilterControls();
+    }
+
+    updateSortControls() {
+        const sortSelect = document.getElementById('sortMode');
+        const directionBtn = document.getElementById('sortDirection');
+        const seedControls = document.getElementById('shuffleControls');
+        const seedInput = document.getElementById('shuffleSeed');
+        
+        if (sortSelect) sortSelect.value = this.sortMode;
+        if (directionBtn) {
+            directionBtn.textContent = this.t(this.sortDirection === 'desc' ? 'sort.desc' : 'sort.asc');
+            directionBtn.disabled = this.sortMode === 'original' || this.sortMode === 'shuffle';
+        }
+        if (seedControls) seedControls.style.display = this.sortMode === 'shuffle' ? 'flex' : 'none';
+        if (seedInput) seedInput.value = this.shuffleSeed;
+    }
+
+    loadSortPreferences() {
+        try {
+            const savedMode = localStorage.getItem('preferredSortMode');
+            if (savedMode && ['original', 'sampleId', 'wer', 'length', 'errors', 'shuffle'].includes(savedMode)) {
+                this.sortMode = savedMode;
+            }
+            const savedDirection = localStorage.getItem('preferredSortDirection');
+            if (savedDirection === 'asc' || savedDirection === 'desc') {
+                this.sortDirection = savedDirection;
+            }
+            const savedSeed = parseInt(localStorage.getItem('preferredShuffleSeed'));
+            if (!isNaN(savedSeed)) {
+                this.shuffleSeed = savedSeed;
+            }
+        } catch (e) {
+            console.warn('Could not load sort preference:', e);
+        }
+        this.updateSortControls();
+    }
+
+    saveSortPreferences() {
+        try {
+            localStorage.setItem('preferredSortMode', this.sortMode);
+            localStorage.setItem('preferredSortDirection', this.sortDirection);
+            localStorage.setItem('preferredShuffleSeed', this.shuffleSeed.toString());
+        } catch (e) {
+            console.warn('Could not save sort preference:', e);
+        }
+    }
+
+    // Only a missing results array is fatal; entry-level problems are reported by ResultsValidator
+    setPrimaryRun(run) {
+        this.runs = [run, ...this.runs.slice(1)];
+        this.runInfo = run.info;
+        this.data = this.buildView();
+        this.updateSourceInfo();
+        this.renderRunInfo();
+    }
+
+    // Facts encoded in a NeMo/Lightning checkpoint path, e.g.
+    // .../run_b200/2025-09-15_03-44-22/checkpoints/epepoch=09-werval_wer=0.0192-EMA.ckpt
+    parseCheckpointName(checkpointPath) {
+        if (typeof checkpointPath !== 'string' || !checkpointPath) return null;
+        
+        const segments = checkpointPath.split('/').filter(Boolean);
+        const fileName = segments[segments.length - 1];
+        const name = fileName.replace(/\.(ckpt|nemo|pt)$/, '');
+        const epochMatch = name.match(/epoch=(\d+)/);
+        const stepMatch = name.match(/step=(\d+)/);
+        const valWerMatch = name.match(/val_wer=(\d+(?:\.\d+)?)/);
+        
+        // Lightning/Hydra runs live in a directory named after their start time
+        const timestampIndex = segments.findIndex(segment => /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}$/.test(segment));
+        let timestamp = null;
+        let experiment = null;
+        if (timestampIndex !== -1) {
+            const [date, time] = segments[timestampIndex].split('_');
+            timestamp = new Date(`${date}T${time.replace(/-/g, ':')}`);
+            experiment = segments.slice(Math.max(0, timestampIndex - 2), timestampIndex).join('/') || null;
+        }
+        
+        return {
+            fileName,
+            name,
+            epoch: epochMatch ? parseInt(epochMatch[1], 10) : null,
+            step: stepMatch ? parseInt(stepMatch[1], 10) : null,
+            valWer: valWerMatch ? parseFloat(valWerMatch[1]) : null,
+            ema: /(^|[-_.])ema([-_.]|$)/i.test(name),
+            timestamp: timestamp && !isNaN(timestamp) ? timestamp : null,
+            experiment
+        };
+    }
+
+    // Short model description for the navbar: the evaluated checkpoint, then what it was trained from,
+    // e.g. "epepoch=09-werval_wer=0.0192-EMA" + "epoch 9 · val WER 1.92% · EMA · base quran_citrinet1024_stage1"
+    getModelTitle(info) {
+        const checkpoint = this.parseCheckpointName(info.model_checkpoint);
+        const baseModel = this.parseCheckpointName(info.base_model);
+        const name = checkpoint ? checkpoint.name : baseModel ? baseModel.name : this.t('runInfo.unknownModel');
+        const details = [];
+        if (checkpoint) {
+            if (checkpoint.epoch !== null) details.push(this.t('runInfo.epochShort', { epoch: checkpoint.epoch }));
+            if (checkpoint.valWer !== null) details.push(this.t('runInfo.valWerShort', { wer: `${(checkpoint.valWer * 100).toFixed(2)}%` }));
+            if (checkpoint.ema) details.push('EMA');
+            if (baseModel) details.push(this.t('runInfo.baseModelShort', { model: baseModel.name }));
+        }
+        return { name, version: details.join(' · ') };
+    }
+    
+    // Header fields are only checked by the validator, so anything may turn up here
+    formatInfoValue(value) {
+        if (value === undefined || value === null || value === '') return '—';
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    renderRunInfo() {
+        const info = this.runInfo || {};
+        const title = this.getModelTitle(info);
+        
+        const modelName = document.querySelector('.model-name');
+        const modelVersion = document.querySelector('.model-version');
+        if (modelName) {
+            modelName.textContent = title.name;
+            modelName.title = info.model_checkpoint ? this.formatInfoValue(info.model_checkpoint) : '';
+        }
+        if (modelVersion) {
+            modelVersion.textContent = title.version;
+            modelVersion.hidden = !title.version;
+        }
+        document.title = this.t('app.documentTitle', { model: `${title.name}${title.version ? ` (${title.version})` : ''}` });
+        
+        const container = document.getElementById('runInfoContent');
+        if (!container) return;
+        
+        const checkpoint = this.parseCheckpointName(info.model_checkpoint);
+        const formatCount = value => (typeof value === 'number' ? value.toLocaleString() : '—');
+        const rows = [
+            ['runInfo.checkpoint', checkpoint ? checkpoint.fileName : this.formatInfoValue(info.model_checkpoint), info.model_checkpoint],
+            ['runInfo.baseModel', typeof info.base_model === 'string' && info.base_model ? info.base_model.split('/').pop() : this.formatInfoValue(info.base_model), info.base_model],
+            ['runInfo.experiment', checkpoint && checkpoint.experiment ? checkpoint.experiment : '—'],
+            ['runInfo.runStarted', checkpoint && checkpoint.timestamp ? checkpoint.timestamp.toLocaleString() : '—'],
+            ['runInfo.epoch', checkpoint && checkpoint.epoch !== null ? checkpoint.epoch : '—'],
+            ['runInfo.step', checkpoint && checkpoint.step !== null ? checkpoint.step.toLocaleString() : null],
+            ['runInfo.validationWer', checkpoint && checkpoint.valWer !== null ? `${(checkpoint.valWer * 100).toFixed(2)}%` : '—'],
+            ['runInfo.ema', checkpoint ? this.t(checkpoint.ema ? 'common.yes' : 'common.no') : '—'],
+            ['runInfo.samplesInDataset', formatCount(info.total_samples_in_dataset)],
+            ['runInfo.samplesEvaluated', formatCount(info.samples_evaluated)],
+            ['runInfo.samplesSkipped', formatCount(info.samples_skipped)]
+        ].filter(([, value]) => value !== null);
+        
+        container.innerHTML = rows.map(([labelKey, value, fullValue]) => `
+            <div class="run-info-item"${fullValue ? ` title="${this.escapeAttribute(this.formatInfoValue(fullValue))}"` : ''}>
+                <dt>${this.escapeHtml(this.t(labelKey))}</dt>
+                <dd>${this.escapeHtml(String(value))}</dd>
+            </div>
+        `).join('');
+    }
+
+    // A run is one results file, indexed by sample path so runs can be joined.
+    // Entries that fail validation are left out; the run's validation report says which and why.
+    // Streamed runs start empty and are finished by loadData once the whole file is in
+    createRun(data, source, parser = null, { streaming = false } = {}) {
+        const { results, ...info } = data;
+        const validation = new ResultsValidator(parser);
+        const validResults = results.filter(item => validation.checkEntry(item));
+        const resultsByPath = new Map();
+        validResults.forEach(item => resultsByPath.set(item.path, item));
+        
+        if (!streaming) {
+            validation.finish(info);
+        }
+        
+        return {
+            source,
+            info,
+            label: this.getRunLabel(info, source),
+            results: validResults,
+            resultsByPath,
+            validation
+        };
+    }
+
+    getRunLabel(info, source) {
+        const name = String(info.model_checkpoint || source || 'run').split('/').pop();
+        const label = name.replace(/\.(ckpt|nemo|json|jsonl|ndjson)$/, '');
+        const duplicates = this.runs.filter(run => run.label === label || run.label.startsWith(`${label} (`)).length;
+        return duplicates > 0 ? `${label} (${duplicates + 1})` : label;
+    }
+
+    async addRunFromUrl(url) {
+        const status = document.getElementById('runStatus');
+        if (!url) return;
+        
+        try {
+            if (status) status.textContent = this.t('runs.loading', { url });
+            const { data, parser } = await this.fetchResults(url);
+            this.addRun(this.createRun(data, url, parser));
+            if (status) status.textContent = '';
+        } catch (error) {
+            console.error('Error loading run:', error);
+            if (status) status.textContent = this.t('runs.loadFailed', { url, message: error.message });
+        }
+    }
+
+    addRun(run) {
+        this.runs.push(run);
+        this.refreshComparisons();
+    }
+
+    removeRun(runIndex) {
+        // The primary run drives the card list and cannot be removed
+        if (runIndex <= 0 || runIndex >= this.runs.length) return;
+        this.runs.splice(runIndex, 1);
+        this.refreshComparisons();
+    }
+
+    // 'improved' / 'regressed' / 'unchanged' going from one run's sample to another's
+    classifyChange(beforeMetrics, afterMetrics) {
+        const before = beforeMetrics.wer !== null ? beforeMetrics.wer : beforeMetrics.wordErrors;
+        const after = afterMetrics.wer !== null ? afterMetrics.wer : afterMetrics.wordErrors;
+        if (after < before) return 'improved';
+        if (after > before) return 'regressed';
+        return 'unchanged';
+    }
+
+    compareRuns(baseRun, otherRun, mode = this.textMode) {
+        const summary = { improved: [], regressed: [], unchanged: [], missing: [] };
+        
+        baseRun.results.forEach(item => {
+            const otherItem = otherRun.resultsByPath.get(item.path);
+            if (!otherItem) {
+                summary.missing.push(item.path);
+                return;
+            }
+            const change = this.classifyChange(this.getSampleMetrics(item, mode), this.getSampleMetrics(otherItem, mode));
+            summary[change].push(item.path);
+        });
+        
+        return summary;
+    }
+
+    renderRunsPanel() {
+        const runList = document.getElementById('runList');
+        const runComparison = document.getElementById('runComparison');
+        
+        if (runList) {
+            runList.innerHTML = this.runs.map((run, index) => {
+                const metrics = this.computeCorpusMetrics(run.results);
+                return `
+                    <div class="run-row">
+                        <span class="run-label" title="${this.escapeAttribute(run.info.model_checkpoint || run.source)}">${this.escapeHtml(run.label)}</span>
+                        <span class="run-source" dir="ltr">${this.escapeHtml(run.source)}</span>
+                        <span class="metric-badge">${this.escapeHtml(this.formatSampleCount(run.results.length))}</span>
+                        ${run.validation.rejected ? `<span class="metric-badge metric-rejected" title="${this.escapeAttribute(this.t('runs.rejectedTitle'))}">${this.escapeHtml(this.t('runs.rejected', { count: run.validation.rejected }))}</span>` : ''}
+                        <span class="metric-badge">WER ${this.formatPercent(metrics.wer)}</span>
+                        ${index === 0
+                            ? `<span class="metric-badge">${this.escapeHtml(this.t('runs.primary'))}</span>`
+                            : `<button class="remove-run-btn" data-run="${index}" title="${this.escapeAttribute(this.t('runs.remove'))}">×</button>`}
+                    </div>
+                `;
+            }).join('');
+            
+            runList.querySelectorAll('.remove-run-btn').forEach(button => {
+                button.addEventListener('click', () => this.removeRun(parseInt(button.dataset.run)));
+            });
+        }
+        
+        if (runComparison) {
+            runComparison.innerHTML = this.runs.slice(1).map((run, offset) => {
+                const previousRun = this.runs[offset];
+                const summary = this.compareRuns(previousRun, run);
+                return `
+                    <div class="run-comparison-row">
+                        <span class="run-pair">${this.escapeHtml(previousRun.label)} ${this.t('common.arrow')} ${this.escapeHtml(run.label)}</span>
+                        <span class="change-badge change-improved">${this.escapeHtml(this.t('runs.improved', { count: summary.improved.length }))}</span>
+                        <span class="change-badge change-regressed">${this.escapeHtml(this.t('runs.regressed', { count: summary.regressed.length }))}</span>
+                        <span class="change-badge change-unchanged">${this.escapeHtml(this.t('runs.unchanged', { count: summary.unchanged.length }))}</span>
+                        ${summary.missing.length ? `<span class="change-badge">${this.escapeHtml(this.t('runs.missing', { count: summary.missing.length }))}</span>` : ''}
+                        <div class="run-significance" data-pair="${offset}">${this.renderSignificance(offset)}</div>
+                    </div>
+                `;
+            }).join('');
+            this.scheduleStatistics();
+        }
+    }
+
+    getStatsWorker() {
+        if (this.statsWorker === null) {
+            try {
+                this.statsWorker = new Worker('stats-worker.js');
+                this.statsWorker.addEventListener('message', (e) => this.handleStatistics(e.data));
+                // Script load failures (e.g. from disk in some browsers) arrive here instead of throwing
+                this.statsWorker.addEventListener('error', (e) => {
+                    console.warn('Statistics worker failed:', e.message);
+                    this.statsWorker.terminate();
+                    this.statsWorker = false;
+                    this.renderStatistics();
+                });
+            } catch (e) {
+                console.warn('Could not start statistics worker:', e);
+                this.statsWorker = false;
+            }
+        }
+        return this.statsWorker || null;
+    }
+
+    // Filters, text mode changes and streamed batches arrive in bursts, so resample once they settle
+    scheduleStatistics() {
+        clearTimeout(this.statisticsTimer);
+        this.statisticsTimer = setTimeout(() => this.requestStatistics(), 300);
+    }
+
+    requestStatistics() {
+        const worker = this.getStatsWorker();
+        if (!worker || !this.data) {
+            this.renderStatistics();
+            return;
+        }
+        
+        const mode = this.textMode;
+        const view = this.data.map(item => this.getSampleMetrics(item, mode));
+        const pairs = this.runs.slice(1).map((run, offset) => [this.runs[offset], run]);
+        this.statisticsRequest = { id: (this.statisticsRequest ? this.statisticsRequest.id : 0) + 1, mode, pairs, scoringKey: this.getStatisticsScoringKey(), viewKey: this.getStatisticsViewKey() };
+        
+        worker.postMessage({
+            id: this.statisticsRequest.id,
+            intervals: {
+                wer: view.map(metrics => ({ errors: metrics.wordErrors, length: metrics.refWords })),
+                cer: view.map(metrics => ({ errors: metrics.charErrors, length: metrics.refChars }))
+            },
+            comparisons: pairs.map(([baseRun, otherRun]) => this.getPairedCounts(baseRun, otherRun, mode)),
+            options: BOOTSTRAP_OPTIONS
+        });
+    }
+
+    // Per-sample error counts of two runs on the samples both contain, measured against the base run's reference
+    getPairedCounts(baseRun, otherRun, mode) {
+        const counts = { wer: [], cer: [] };
+        baseRun.results.forEach(item => {
+            const otherItem = otherRun.resultsByPath.get(item.path);
+            if (!otherItem) return;
+            const base = this.getSampleMetrics(item, mode);
+            const other = this.getSampleMetrics(otherItem, mode);
+            counts.wer.push({ errorsA: base.wordErrors, errorsB: other.wordErrors, length: base.refWords });
+            counts.cer.push({ errorsA: base.charErrors, errorsB: other.charErrors, length: base.refChars });
+        });
+        return counts;
+    }
+
+    handleStatistics(result) {
+        const request = this.statisticsRequest;
+        if (!request || result.id !== request.id) return; // Superseded by a newer request
+        this.statistics = { ...result, mode: request.mode, pairs: request.pairs, scoringKey: request.scoringKey, viewKey: request.viewKey };
+        this.renderStatistics();
+    }
+
+    // The text mode and rules samples were scored with; run comparisons cover whole runs, so this is all they depend on
+    getStatisticsScoringKey() {
+        return JSON.stringify([this.textMode, this.textMode === 'normalized' ? this.normalizer.getEnabledRuleIds() : []]);
+    }
+
+    // Identifies the samples the intervals describe: which file, how many of its samples are in the view,
+    // the filters that picked them and how they were scored
+    getStatisticsViewKey() {
+        return JSON.stringify([
+            this.runs.length ? this.runs[0].source : null,
+            this.data ? this.data.length : 0,
+            this.filters,
+            this.getStatisticsScoringKey()
+        ]);
+    }
+
+    // Fills the interval lines under the stats bar rates and the significance rows of the run comparison.
+    // Intervals computed for another view are cleared rather than shown next to the new rates.
+    renderStatistics() {
+        const stats = this.statistics && this.statistics.viewKey === this.getStatisticsViewKey() ? this.statistics : null;
+        [['werInterval', 'wer'], ['cerInterval', 'cer']].forEach(([elementId, metric]) => {
+            const element = document.getElementById(elementId);
+            if (!element) return;
+            const interval = stats && stats.intervals[metric];
+            if (!interval || interval.lower === null) {
+                element.textContent = '';
+                element.title = '';
+                return;
+            }
+            element.textContent = this.t('stats.interval', {
+                confidence: this.formatConfidence(interval.confidence),
+                lower: this.formatPercent(interval.lower),
+                upper: this.formatPercent(interval.upper),
+                mode: this.t(`nav.${stats.mode}`)
+            });
+            element.title = this.t('stats.intervalTitle', { iterations: interval.iterations });
+        });
+        
+        document.querySelectorAll('.run-significance').forEach(element => {
+            element.innerHTML = this.renderSignificance(parseInt(element.dataset.pair));
+        });
+    }
+
+    // Paired tests for runs[offset] -> runs[offset + 1], or a placeholder until the worker has answered for them
+    renderSignificance(offset) {
+        const baseRun = this.runs[offset];
+        const otherRun = this.runs[offset + 1];
+        if (this.statsWorker === false) {
+            return this.escapeHtml(this.t('significance.unavailable'));
+        }
+        
+        const stats = this.statistics;
+        const pair = stats && stats.scoringKey === this.getStatisticsScoringKey() ? stats.pairs[offset] : null;
+        if (!pair || pair[0] !== baseRun || pair[1] !== otherRun) {
+            return this.escapeHtml(this.t('significance.computing'));
+        }
+        
+        const comparison = stats.comparisons[offset];
+        const title = this.t('significance.title', {
+            base: baseRun.label,
+            other: otherRun.label,
+            mode: this.t(`nav.${stats.mode}`),
+            iterations: BOOTSTRAP_OPTIONS.iterations
+        });
+        return ['wer', 'cer'].map(metric => {
+            const { bootstrap, sign } = comparison[metric];
+            const label = metric.toUpperCase();
+            if (bootstrap.difference === null) {
+                return `<div class="significance-row"><span class="significance-metric">${label}</span> ${this.escapeHtml(this.t('significance.noShared'))}</div>`;
+            }
+            
+            // Lower error rates are better, so a negative difference is an improvement
+            const significant = bootstrap.pValue < 1 - bootstrap.confidence;
+            const verdict = !significant ? 'none' : bootstrap.difference < 0 ? 'improved' : 'regressed';
+            const difference = this.t('significance.difference', {
+                difference: this.formatPoints(bootstrap.difference),
+                confidence: this.formatConfidence(bootstrap.confidence),
+                lower: this.formatPoints(bootstrap.lower),
+                upper: this.formatPoints(bootstrap.upper)
+            });
+            return `
+                <div class="significance-row" title="${this.escapeAttribute(title)}">
+                    <span class="significance-metric">${label}</span>
+                    <span class="change-badge">${this.escapeHtml(difference)}</span>
+                    <span class="change-badge">${this.escapeHtml(this.t('significance.bootstrap', { p: this.formatPValue(bootstrap.pValue) }))}</span>
+                    <span class="change-badge">${this.escapeHtml(this.t('significance.sign', { p: this.formatPValue(sign.pValue), better: sign.better, worse: sign.worse }))}</span>
+                    <span class="change-badge change-${verdict === 'none' ? 'unchanged' : verdict}">${this.escapeHtml(this.t(`significance.${verdict}`))}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Problems found in the primary run's file, each with the JSON path (or JSON Lines line) it refers to
+    renderValidationReport() {
+        const panel = document.getElementById('validationPanel');
+        const summaryElement = document.getElementById('validationSummary');
+        const listElement = document.getElementById('validationIssues');
+        if (!panel || !summaryElement || !listElement || !this.runs.length) return;
+        
+        const run = this.runs[0];
+        const validation = run.validation;
+        const counts = validation.getCounts();
+        const maxListed = 200;
+        
+        summaryElement.textContent = counts.errors || counts.warnings
+            ? this.t('validation.summary', { source: run.source, shown: run.results.length, rejected: validation.rejected, errors: counts.errors, warnings: counts.warnings })
+            : this.t('validation.clean', { source: run.source, count: run.results.length });
+        summaryElement.classList.toggle('has-rejected', validation.rejected > 0);
+        
+        listElement.innerHTML = validation.issues.slice(0, maxListed).map(issue => `
+            <li class="validation-issue issue-${issue.severity}">
+                <span class="issue-severity">${this.escapeHtml(this.t(issue.severity === 'error' ? 'validation.rejected' : 'validation.warning'))}</span>
+                <code class="issue-location" dir="ltr">${this.escapeHtml(issue.location)}</code>
+                <span class="issue-message">${this.escapeHtml(issue.message)}</span>
+            </li>
+        `).join('') + (validation.issues.length > maxListed
+            ? `<li class="validation-issue">${this.escapeHtml(this.t('validation.more', { count: validation.issues.length - maxListed }))}</li>`
+            : '');
+        
+        // Surface the panel on its own when entries were dropped
+        if (validation.rejected > 0 && !panel.dataset.autoOpened) {
+            panel.open = true;
+            panel.dataset.autoOpened = '1';
+        }
+    }
+
+    // Predictions of every run after the primary, each diffed against its own ground truth
+    renderRunPredictions(item, textClass) {
+        if (this.runs.length < 2) return '';
+        
+        const rows = this.runs.slice(1).map((run, offset) => {
+            const runItem = run.resultsByPath.get(item.path);
+            const previousItem = this.runs[offset].resultsByPath.get(item.path);
+            const label = `<span class="run-label" title="${this.escapeAttribute(run.info.model_checkpoint || run.source)}">${this.escapeHtml(run.label)}</span>`;
+            
+            if (!runItem) {
+                return `<div class="run-prediction run-missing">${label} <span class="change-badge">${this.escapeHtml(this.t('runs.notInThisRun'))}</span></div>`;
+            }
+            
+            const metrics = this.getSampleMetrics(runItem);
+            const change = previousItem ? this.classifyChange(this.getSampleMetrics(previousItem), metrics) : null;
+            return `
+                <div class="run-prediction">
+                    <div class="run-prediction-header">
+                        ${label}
+                        <span class="metric-badge">WER ${this.formatPercent(metrics.wer)}</span>
+                        ${change ? `<span class="change-badge change-${change}">${this.escapeHtml(this.t(`change.${change}`))}</span>` : ''}
+                    </div>
+                    <div class="${textClass}" style="font-size: ${this.currentFontSize}px">${this.renderDiff(this.getAlignment(runItem), 'hypothesis')}</div>
+                </div>
+            `;
+        }).join('');
+        
+        return rows;
+    }
+
+    getPrimaryRunLabel() {
+        return this.runs.length > 1 ? ` <span class="run-label">${this.escapeHtml(this.runs[0].label)}</span>` : '';
+    }
+
+    async readResultsFile(file) {
+        return parseResults(await file.text(), { name: file.name, jsonLines: this.isJsonLines(file.name) });
+    }
+
+    // Dropped or picked files: results JSON (first one becomes the primary run) and WAV audio
+    async handleLocalFiles(files, { asComparison = false } = {}) {
+        const resultFiles = files.filter(file => /\.(json|jsonl|ndjson)$/i.test(file.name));
+        const audioFiles = files.filter(file => /\.wav$/i.test(file.name));
+        
+        if (audioFiles.length) {
+            this.registerAudioFiles(audioFiles);
+        }
+        
+        for (let i = 0; i < resultFiles.length; i++) {
+            const file = resultFiles[i];
+            try {
+                const { data, parser } = await this.readResultsFile(file);
+                if (i === 0 && !asComparison) {
+                    this.runs = [];
+                    this.resultsCachedAt = null;
+                    this.updateOfflineIndicator();
+                    this.setPrimaryRun(this.createRun(data, file.name, parser));
+                    this.renderResults();
+                    this.setupUrlState();
+                } else {
+                    this.addRun(this.createRun(data, file.name, parser));
+                }
+            } catch (error) {
+                console.error('Error reading results file:', error);
+                if (this.data) {
+                    this.updateSourceInfo(this.t('source.openFailed', { file: file.name, message: error.message }));
+                } else {
+                    this.handleLoadError(error);
+                }
+            }
+        }
+        
+        if (!resultFiles.length && !audioFiles.length) {
+            this.updateSourceInfo(this.t('source.nothingFound'));
+        }
+    }
+
+    registerAudioFiles(files) {
+        this.localAudioUrls.forEach(url => URL.revokeObjectURL(url));
+        this.localAudioUrls = new Map();
+        files.forEach(file => this.localAudioUrls.set(file.name, URL.createObjectURL(file)));
+        
+        this.updateSourceInfo();
+        
+        if (this.data) {
+            this.renderCurrentPage();
+            if (this.isModalOpen()) {
+                this.openModal(this.currentSampleIndex);
+            }
+        }
+    }
+
+    // Directory drops only expose FileSystemEntry objects, which have to be walked by hand
+    async collectDroppedFiles(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+            .filter(Boolean);
+        
+        if (!entries.length) {
+            return Array.from(dataTransfer.files || []);
+        }
+        
+        const files = [];
+        for (const entry of entries) {
+            files.push(...await this.readEntryFiles(entry));
+        }
+        return files;
+    }
+
+    async readEntryFiles(entry) {
+        if (entry.isFile) {
+            return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+        }
+        if (!entry.isDirectory) return [];
+        
+        const reader = entry.createReader();
+        const files = [];
+        let batch;
+        // readEntries returns results in batches until it yields an empty one
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) {
+                files.push(...await this.readEntryFiles(child));
+            }
+        } while (batch.length > 0);
+        return files;
+    }
+
+    updateSourceInfo(message) {
+        const sourceInfo = document.getElementById('sourceInfo');
+        if (!sourceInfo) return;
+        
+        sourceInfo.classList.toggle('stat-warning', Boolean(message));
+        if (message) {
+            sourceInfo.textContent = message;
+            return;
+        }
+        
+        const parts = [];
+        if (this.runs.length) parts.push(this.runs[0].source);
+        if (this.localAudioUrls.size) parts.push(this.t('source.localAudio', { count: this.localAudioUrls.size }));
+        sourceInfo.textContent = parts.join(' · ');
+    }
+
+    // sw.js caches the shell, results and played audio; it needs HTTP(S), so pages opened from disk skip it
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Could not register service worker:', error);
+        });
+    }
+
+    // The media element only fetched byte ranges, so the worker downloads and stores the whole file itself
+    cachePlayedAudio(audio) {
+        const url = audio.currentSrc || audio.src;
+        if (!url || !/^https?:/.test(url) || !('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.ready.then(registration => {
+            if (registration.active) {
+                registration.active.postMessage({ type: 'cache-audio', url });
+            }
+        });
+    }
+
+    // Shown while offline or while the results on screen are sw.js's saved copy rather than the live file
+    updateOfflineIndicator() {
+        const indicator = document.getElementById('offlineIndicator');
+        if (!indicator) return;
+        
+        const offline = navigator.onLine === false;
+        indicator.hidden = !offline && !this.resultsCachedAt;
+        indicator.classList.toggle('is-offline', offline);
+        if (this.resultsCachedAt) {
+            const time = new Date(this.resultsCachedAt).toLocaleString(this.translator.language);
+            indicator.textContent = this.t(offline ? 'offline.cached' : 'offline.cachedOnline', { time });
+            indicator.title = this.t('offline.cachedTitle');
+        } else {
+            indicator.textContent = this.t('offline.offline');
+            indicator.title = this.t('offline.offlineTitle');
+        }
+    }
+
+    async retryLoadData() {
+        if (this.retryCount < this.maxRetries && !this.isLoading) {
+            this.retryCount++;
+            console.log(`Retry attempt ${this.retryCount}/${this.maxRetries}`);
+            await this.loadData();
+        } else if (this.retryCount >= this.maxRetries) {
+            this.showError(this.t('error.retriesExhausted'));
+        }
+    }
+
+    handleLoadError(error) {
+        let errorMessage = this.t('error.loadFailed');
+        
+        if (error.name === 'AbortError') {
+            errorMessage = this.t('error.timeout', { seconds: this.loadTimeoutSeconds });
+        } else if (error.name === 'TypeError' && error.message.includes('fetch')) {
+            errorMessage = this.t('error.network');
+        } else if (error.message.includes('404')) {
+            errorMessage = this.t('error.notFound');
+        } else if (error.message.includes('Invalid data format')) {
+            errorMessage = this.t('error.invalidFormat');
+        }
+        
+        if (navigator.onLine === false) {
+            errorMessage = this.t('error.offline');
+        }
+        
+        // Pages opened from disk cannot fetch sibling files; point at the file picker instead
+        if (window.location.protocol === 'file:' && !this.data) {
+            errorMessage = this.t('error.fromDisk');
+        }
+
+        this.showError(errorMessage);
+    }
+
+    showLoading() {
+        const loading = document.getElementById('loading');
+        const error = document.getElementById('error');
+        const container = document.getElementById('cardsContainer');
+        const pagination = document.getElementById('pagination');
+        
+        if (loading) loading.style.display = 'block';
+        if (error) error.style.display = 'none';
+        if (container) this.clearCards(container);
+        if (pagination) pagination.style.display = 'none';
+        
+        this.updateLoadProgress(0, 0, 0);
+    }
+
+    showError(message) {
+        const loading = document.getElementById('loading');
+        const error = document.getElementById('error');
+        const container = document.getElementById('cardsContainer');
+        const pagination = document.getElementById('pagination');
+        
+        if (loading) loading.style.display = 'none';
+        if (error) {
+            error.style.display = 'block';
+            const errorText = error.querySelector('.error-text');
+            if (errorText) errorText.textContent = message;
+        }
+        if (container) this.clearCards(container);
+        if (pagination) pagination.style.display = 'none';
+    }
+
+    setupPagination() {
+        if (!this.data) return;
+        
+        this.totalPages = Math.max(1, Math.ceil(this.data.length / this.cardsPerPage));
+        this.currentPage = 0;
+        
+        if (this.scrollMode) {
+            const pagination = document.getElementById('pagination');
+            if (pagination) pagination.style.display = 'none';
+            return;
+        }
+        
+        // Create pagination controls
+        this.createPaginationControls();
+        this.updatePaginationControls();
+    }
+
+    createPaginationControls() {
+        const pagination = document.getElementById('pagination');
+        if (!pagination) return;
+        
+        pagination.innerHTML = `
+            <div class="pagination-info">
+                <span id="pageInfo"></span>
+                <span id="itemInfo"></span>
+            </div>
+            <div class="pagination-controls">
+                <button id="prevPage" class="page-btn prev-btn" disabled>
+                    <span data-i18n="pagination.previous">${this.escapeHtml(this.t('pagination.previous'))}</span>
+                </button>
+                <button id="nextPage" class="page-btn next-btn">
+                    <span data-i18n="pagination.next">${this.escapeHtml(this.t('pagination.next'))}</span>
+                </button>
+            </div>
+        `;
+        
+        // Add event listeners
+        const prevPageBtn = document.getElementById('prevPage');
+        const nextPageBtn = document.getElementById('nextPage');
+        
+        if (prevPageBtn) {
+            prevPageBtn.addEventListener('click', () => this.previousPage());
+        }
+        if (nextPageBtn) {
+            nextPageBtn.addEventListener('click', () => this.nextPage());
+        }
+        
+        pagination.style.display = 'flex';
+    }
+
+    previousPage() {
+        this.goToPage(this.currentPage - 1);
+    }
+
+    nextPage() {
+        this.goToPage(this.currentPage + 1);
+    }
+
+    goToPage(page) {
+        if (this.scrollMode || page < 0 || page >= this.totalPages || page === this.currentPage) return;
+        this.currentPage = page;
+        this.renderCurrentPage();
+        this.updatePaginationControls();
+        this.scrollToTop();
+        
+        const itemInfo = document.getElementById('itemInfo');
+        this.announce(this.t('announce.page', { page: page + 1, total: this.totalPages, items: itemInfo ? itemInfo.textContent : '' }));
+    }
+
+    updatePaginationControls() {
+        const prevPageBtn = document.getElementById('prevPage');
+        const nextPageBtn = document.getElementById('nextPage');
+        const pageInfo = document.getElementById('pageInfo');
+        const itemInfo = document.getElementById('itemInfo');
+        
+        if (prevPageBtn) {
+            prevPageBtn.disabled = this.currentPage === 0;
+        }
+        if (nextPageBtn) {
+            nextPageBtn.disabled = this.currentPage === this.totalPages - 1;
+        }
+        if (pageInfo) {
+            pageInfo.textContent = this.t('pagination.page', { page: this.currentPage + 1, total: this.totalPages });
+        }
+        if (itemInfo) {
+            const startItem = this.currentPage * this.cardsPerPage + 1;
+            const endItem = Math.min((this.currentPage + 1) * this.cardsPerPage, this.data.length);
+            itemInfo.textContent = this.data.length
+                ? this.t('pagination.showing', { start: startItem, end: endItem, count: this.data.length })
+                : this.t('pagination.none');
+        }
+    }
+
+    scrollToTop() {
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    renderCurrentPage() {
+        const loading = document.getElementById('loading');
+        const error = document.getElementById('error');
+        const container = document.getElementById('cardsContainer');
+        
+        if (!this.data) {
+            return;
+        }
+
+        if (loading) loading.style.display = 'none';
+        if (error) error.style.display = 'none';
+        
+        if (!container) return;
+
+        if (this.scrollMode && this.data.length) {
+            this.renderVirtualList(container);
+            this.loadPreferences();
+            this.syncUrl();
+            return;
+        }
+        
+        if (this.virtualList) {
+            this.virtualList.destroy();
+            this.virtualList = null;
+        }
+        
+        // Clear existing cards
+        this.clearCards(container);
+        
+        // Calculate current page data
+        const startIndex = this.currentPage * this.cardsPerPage;
+        const endIndex = Math.min(startIndex + this.cardsPerPage, this.data.length);
+        const currentPageData = this.data.slice(startIndex, endIndex);
+        
+        if (!currentPageData.length) {
+            container.innerHTML = `<div class="empty-state">${this.escapeHtml(this.t('cards.empty'))}</div>`;
+        }
+        
+        // Render only current page cards
+        currentPageData.forEach((item, index) => {
+            const globalIndex = startIndex + index;
+            const card = this.createAudioCard(item, globalIndex);
+            container.appendChild(card);
+        });
+        
+        // Set up lazy loading for current page
+        this.setupCardObservers();
+        this.loadPreferences();
+        this.syncUrl();
+    }
+
+    // Page cards are dropped all at once; the virtual list releases its own as they scroll away
+    clearCards(container) {
+        container.querySelectorAll('.audio-card').forEach(card => this.releaseCardQuality(card));
+        container.innerHTML = '';
+    }
+
+    renderVirtualList(container) {
+        if (!this.virtualList) {
+            container.innerHTML = '';
+            this.virtualList = new VirtualList(container, {
+                renderItem: index => this.createAudioCard(this.data[index], index, this.audioManager.acquire(() => this.createCardAudio())),
+                releaseItem: card => {
+                    const audio = card.querySelector('audio');
+                    if (audio) this.audioManager.release(audio);
+                    this.releaseCardQuality(card);
+                }
+            });
+        }
+        this.virtualList.setCount(this.data.length);
+    }
+
+    // Switching page size or to continuous scroll keeps the first visible sample in view
+    setPageSize(value) {
+        const firstIndex = this.virtualList ? this.virtualList.getFirstVisibleIndex() : this.currentPage * this.cardsPerPage;
+        
+        if (value === 'scroll') {
+            this.scrollMode = true;
+        } else {
+            const size = parseInt(value);
+            if (!this.pageSizes.includes(size)) return;
+            this.scrollMode = false;
+            this.cardsPerPage = size;
+        }
+        
+        this.savePageSizePreferences();
+        this.updatePageSizeControl();
+        if (!this.data) return;
+        
+        this.setupPagination();
+        if (!this.scrollMode) {
+            this.currentPage = Math.min(Math.floor(firstIndex / this.cardsPerPage), this.totalPages - 1);
+            this.updatePaginationControls();
+        }
+        this.renderCurrentPage();
+        if (this.virtualList) {
+            this.virtualList.scrollToIndex(firstIndex);
+        } else {
+            this.scrollToTop();
+        }
+    }
+
+    updatePageSizeControl() {
+        const pageSizeSelect = document.getElementById('pageSize');
+        if (pageSizeSelect) {
+            pageSizeSelect.value = this.scrollMode ? 'scroll' : String(this.cardsPerPage);
+        }
+    }
+
+    loadPageSizePreferences() {
+        try {
+            const savedSize = localStorage.getItem('preferredPageSize');
+            if (savedSize === 'scroll') {
+                this.scrollMode = true;
+            } else if (this.pageSizes.includes(parseInt(savedSize))) {
+                this.cardsPerPage = parseInt(savedSize);
+            }
+        } catch (e) {
+            console.warn('Could not load page size preference:', e);
+        }
+        this.updatePageSizeControl();
+    }
+
+    savePageSizePreferences() {
+        try {
+            localStorage.setItem('preferredPageSize', this.scrollMode ? 'scroll' : String(this.cardsPerPage));
+        } catch (e) {
+            console.warn('Could not save page size preference:', e);
+        }
+    }
+
+    // Continuous scroll passes in a pooled <audio>; paged mode gets a fresh one per card
+    createAudioCard(item, index, audio = this.createCardAudio()) {
+        const card = document.createElement('div');
+        card.className = 'audio-card';
+        card.dataset.index = index;
+        card.dataset.path = item.path;
+        
+        // Position in the current ordering, shown next to the real sample id from the file name
+        const displayPosition = index + 1;
+        const alignment = this.getAlignment(item);
+        const metrics = this.getSampleMetrics(item);
+        
+        // Cards are articles in a feed: focusable, and announced with their position and WER
+        card.tabIndex = 0;
+        card.setAttribute('role', 'article');
+        card.setAttribute('aria-posinset', displayPosition);
+        card.setAttribute('aria-setsize', this.data ? this.data.length : displayPosition);
+        card.setAttribute('aria-label', this.t('cards.label', { sample: this.t('sample.name', { id: this.getSampleId(item) }), wer: this.formatPercent(metrics.wer) }));
+        
+        // NO <source> tags up front - lazy load them
+        card.innerHTML = `
+            <div class="sample-info">#${displayPosition} <span class="sample-id">${this.escapeHtml(this.t('sample.name', { id: this.getSampleId(item) }))}</span></div>
+            
+            ${this.renderSampleMetrics(metrics)}
+            
+            <div class="sample-metrics audio-quality"></div>
+            
+            <div class="audio-slot"></div>
+            
+            <div class="text-section ground-truth">
+                <h3>${this.escapeHtml(this.t('sample.groundTruth'))}</h3>
+                <div class="text-content" style="font-size: ${this.currentFontSize}px">${this.renderDiff(alignment, 'reference')}</div>
+            </div>
+            
+            <div class="text-section prediction">
+                <h3>${this.escapeHtml(this.t('sample.prediction'))}${this.getPrimaryRunLabel()}</h3>
+                <div class="text-content" style="font-size: ${this.currentFontSize}px">${this.renderDiff(alignment, 'hypothesis')}</div>
+            </div>
+            
+            ${this.renderReviewControls(item, true)}
+            
+            ${this.runs.length > 1 ? `
+            <div class="text-section run-predictions">
+                <h3>${this.escapeHtml(this.t('runs.otherRuns'))}</h3>
+                ${this.renderRunPredictions(item, 'text-content')}
+            </div>` : ''}
+        `;
+        
+        // Add click handler for modal
+        card.addEventListener('click', (e) => {
+            if (!e.target.closest('audio') && !e.target.closest('.review-controls')) {
+                this.openModal(index);
+            }
+        });
+        
+        card.addEventListener('focusin', () => {
+            this.focusedIndex = index;
+        });
+        
+        this.bindReviewControls(card, item);
+        
+        audio.setAttribute('data-path', this.mapAudioPath(item.path));
+        audio.dataset.index = index;
+        card.querySelector('.audio-slot').replaceWith(audio);
+        this.renderCardQuality(card);
+        
+        return card;
+    }
+
+    // Badges fill in once the WAV has been analyzed. A card asks for that only while it is on screen,
+    // so rendering a page or scrolling past cards does not download every file.
+    renderCardQuality(card) {
+        const container = card.querySelector('.audio-quality');
+        if (!container) return;
+        
+        const quality = this.audioQualityAnalyzer.get(this.mapAudioPath(card.dataset.path));
+        if (quality) {
+            container.innerHTML = this.renderQualityBadges(quality);
+            return;
+        }
+        
+        const observer = this.getQualityObserver();
+        if (!observer) {
+            container.innerHTML = '';
+            return;
+        }
+        container.innerHTML = `<span class="metric-badge quality-pending">${this.escapeHtml(this.t('quality.analyzing'))}</span>`;
+        observer.observe(card);
+    }
+
+    getQualityObserver() {
+        if (!this.qualityObserver && typeof IntersectionObserver !== 'undefined') {
+            this.qualityObserver = new IntersectionObserver(entries => this.handleQualityVisibility(entries));
+        }
+        return this.qualityObserver;
+    }
+
+    // A card that scrolls away withdraws its request, so files it no longer needs leave the queue
+    handleQualityVisibility(entries) {
+        entries.forEach(({ target: card, isIntersecting }) => {
+            if (!isIntersecting) {
+                this.cancelCardQuality(card);
+                return;
+            }
+            if (this.cardQualityRequests.has(card)) return;
+            
+            const controller = new AbortController();
+            this.cardQualityRequests.set(card, controller);
+            this.audioQualityAnalyzer.analyze(this.mapAudioPath(card.dataset.path), controller.signal).then(result => {
+                if (!result) return;
+                this.releaseCardQuality(card);
+                this.renderCardQuality(card);
+                this.scheduleAudioQualityPanel();
+            });
+        });
+    }
+
+    cancelCardQuality(card) {
+        const controller = this.cardQualityRequests.get(card);
+        if (controller) {
+            this.cardQualityRequests.delete(card);
+            controller.abort();
+        }
+    }
+
+    // Called before a card is dropped from the page or the virtual list
+    releaseCardQuality(card) {
+        if (this.qualityObserver) this.qualityObserver.unobserve(card);
+        this.cancelCardQuality(card);
+    }
+
+    renderQualityBadges(quality) {
+        if (quality.error) {
+            return `<span class="metric-badge quality-issue" title="${this.escapeAttribute(quality.error)}">${this.escapeHtml(this.t('quality.notAnalyzed'))}</span>`;
+        }
+        
+        const issues = this.audioQualityAnalyzer.getIssues(quality);
+        const channelLabel = quality.channels === 1 ? this.t('quality.mono') : quality.channels === 2 ? this.t('quality.stereo') : this.t('quality.channels', { count: quality.channels });
+        const bitsLabel = quality.bitsPerSample ? ` · ${this.t('quality.bits', { bits: quality.bitsPerSample })}` : '';
+        return `
+            <span class="metric-badge" title="${this.escapeAttribute(this.t('quality.durationTitle'))}">${this.escapeHtml(this.t('common.seconds', { count: quality.duration.toFixed(1) }))}</span>
+            <span class="metric-badge" title="${this.escapeAttribute(this.t('quality.formatTitle'))}">${this.formatSampleRate(quality.sampleRate)} ${this.escapeHtml(channelLabel + bitsLabel)}</span>
+            <span class="metric-badge" title="${this.escapeAttribute(this.t('quality.levelTitle'))}">${this.escapeHtml(this.t('quality.level', { rms: this.formatDb(quality.rmsDb), peak: this.formatDb(quality.peakDb) }))}</span>
+            ${issues.map(issue => `<span class="metric-badge quality-issue" title="${this.escapeAttribute(this.t(`quality.badgeTitle.${issue.key}`, issue.titleParams))}">${this.escapeHtml(this.t(`quality.badge.${issue.key}`, issue.params))}</span>`).join('')}
+        `;
+    }
+
+    formatDb(value) {
+        return isFinite(value) ? `${value.toFixed(1)} dB` : '−∞ dB';
+    }
+
+    formatSampleRate(rate) {
+        return `${Number((rate / 1000).toFixed(2))} kHz`;
+    }
+
+    // Handlers look up the card at event time so a recycled <audio> follows whichever card holds it
+    createCardAudio() {
+        const audio = document.createElement('audio');
+        audio.className = 'audio-player';
+        audio.controls = true;
+        audio.preload = 'none';
+        audio.textContent = this.t('audio.unsupported');
+        
+        audio.addEventListener('play', () => {
+            // Load sources only on first user play
+            this.loadAudioSource(audio);
+            this.audioManager.stopAllExcept(audio);
+            const card = audio.closest('.audio-card');
+            if (card) card.classList.add('playing');
+        });
+        
+        audio.addEventListener('pause', () => {
+            const card = audio.closest('.audio-card');
+            if (card) card.classList.remove('playing');
+        });
+        
+        audio.addEventListener('ended', () => {
+            const card = audio.closest('.audio-card');
+            if (card) card.classList.remove('playing');
+        });
+        
+        // Safari-specific audio optimizations
+        audio.addEventListener('error', (e) => {
+            console.warn('Audio error:', e);
+            const card = audio.closest('.audio-card');
+            if (card) card.classList.add('audio-error');
+        });
+        
+        return audio;
+    }
+
+    // Sources are attached lazily so a page of cards does not fetch every WAV up front
+    loadAudioSource(audio) {
+        if (audio.dataset.loaded) return;
+        const source = document.createElement('source');
+        source.src = audio.getAttribute('data-path');
+        source.type = 'audio/wav';
+        audio.appendChild(source);
+        audio.dataset.loaded = '1';
+        audio.load();
+    }
+
+    // Set up intersection observer for lazy loading
+    setupCardObservers() {
+        if (this.intersectionObserver) {
+            this.intersectionObserver.disconnect();
+        }
+
+        this.intersectionObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const audio = entry.target.querySelector('audio');
+                    if (audio) {
+                        // Preload audio when card comes into view
+                        this.loadAudioSource(audio);
+                    }
+                }
+            });
+        }, { 
+            rootMargin: '200px' // Start loading when 200px away from viewport
+        });
+
+        // Observe all audio cards on current page
+        document.querySelectorAll('.audio-card').forEach(card => {
+            this.intersectionObserver.observe(card);
+        });
+    }
+
+    updateModalTitle() {
+        const modalTitle = document.getElementById('modalTitle');
+        const item = this.data[this.currentSampleIndex];
+        if (modalTitle && item) {
+            modalTitle.textContent = this.t('modal.sampleTitle', { id: this.getSampleId(item), position: this.currentSampleIndex + 1, total: this.data.length });
+        }
+    }
+
+    openModal(index) {
+        if (!this.data || index < 0 || index >= this.data.length) return;
+        
+        this.currentSampleIndex = index;
+        const item = this.data[index];
+        const displayPosition = index + 1;
+        
+        // Update modal content
+        const modalGroundTruth = document.getElementById('modalGroundTruth');
+        const modalPrediction = document.getElementById('modalPrediction');
+        
+        const alignment = this.getAlignment(item);
+        
+        this.updateModalTitle();
+        if (modalGroundTruth) modalGroundTruth.innerHTML = this.renderDiff(alignment, 'reference');
+        if (modalPrediction) modalPrediction.innerHTML = this.renderDiff(alignment, 'hypothesis');
+        
+        const modalPredictionTitle = document.getElementById('modalPredictionTitle');
+        if (modalPredictionTitle) modalPredictionTitle.innerHTML = `${this.escapeHtml(this.t('sample.prediction'))}${this.getPrimaryRunLabel()}`;
+        
+        const modalRunPredictions = document.getElementById('modalRunPredictions');
+        if (modalRunPredictions) {
+            modalRunPredictions.innerHTML = `<h3>${this.escapeHtml(this.t('runs.otherRuns'))}</h3>${this.renderRunPredictions(item, 'modal-text-content')}`;
+            modalRunPredictions.style.display = this.runs.length > 1 ? 'block' : 'none';
+        }
+        
+        const modalReview = document.getElementById('modalReview');
+        if (modalReview) {
+            modalReview.innerHTML = this.renderReviewControls(item, false);
+            this.bindReviewControls(modalReview, item);
+        }
+        
+        const modalMetrics = document.getElementById('modalMetrics');
+        if (modalMetrics) {
+            const metrics = this.getSampleMetrics(item);
+            const diacritics = this.getDiacriticMetrics(item);
+            modalMetrics.innerHTML = [
+                ['metric.wer', this.formatPercent(metrics.wer)],
+                ['metric.cer', this.formatPercent(metrics.cer)],
+                ['metric.letterRate', this.formatPercent(diacritics.letterErrorRate)],
+                ['metric.diacriticRate', this.formatPercent(diacritics.diacriticErrorRate)],
+                ['metric.substitutions', metrics.substitutions],
+                ['metric.insertions', metrics.insertions],
+                ['metric.deletions', metrics.deletions],
+                ['metric.refWords', metrics.refWords]
+            ].map(([labelKey, value]) => `
+                <div class="metric">
+                    <span class="metric-label">${this.escapeHtml(this.t(labelKey))}</span>
+                    <span class="metric-value">${value}</span>
+                </div>
+            `).join('');
+        }
         
         // Set up modal audio
         const modalAudio = document.getElementById('modalAudio');
-        if (modalAudio) {
-            modalAudio.src = this.mapAudioPath(item.path);
+        const audioUrl = this.mapAudioPath(item.path);
+        if (modalAudio && modalAudio.getAttribute('src') !== audioUrl) {
+            modalAudio.src = audioUrl;
             modalAudio.load();
         }
         
-        // Show modal
+        // Show modal, remembering where focus was so closing can return it
+        const modal = document.getElementById('modal');
+        if (modal) {
+            if (!this.isModalOpen()) {
+                this.modalReturnFocus = document.activeElement;
+            }
+            modal.style.display = 'flex';
+            document.body.style.overflow = 'hidden';
+            
+            const dialog = modal.querySelector('.modal-content');
+            if (dialog && !dialog.contains(document.activeElement)) {
+                dialog.focus();
+            }
+        }
+        
+        const sampleMetrics = this.getSampleMetrics(item);
+        this.announce(this.t('announce.sample', {
+            sample: this.t('sample.name', { id: this.getSampleId(item) }),
+            position: displayPosition,
+            total: this.data.length,
+            wer: this.formatPercent(sampleMetrics.wer),
+            cer: this.formatPercent(sampleMetrics.cer)
+        }));
+        
+        // Decode after the modal is visible so the canvases have a size to draw into
+        if (this.waveformView && this.waveformView.loadedUrl !== audioUrl) {
+            this.waveformView.loadedUrl = audioUrl;
+            this.waveformView.load(audioUrl);
+        }
+        
+        this.syncUrl();
+    }
+
+    closeModal() {
+        const wasOpen = this.isModalOpen();
+        const modal = document.getElementById('modal');
+        if (modal) {
+            modal.style.display = 'none';
+            document.body.style.overflow = 'auto';
+        }
+        
+        // Back to the card the dialog was opened from, or the one for the sample it ended on
+        if (wasOpen) {
+            const card = document.querySelector(`.audio-card[data-index="${this.currentSampleIndex}"]`);
+            const target = card || this.modalReturnFocus;
+            if (target && target.isConnected) target.focus();
+            this.modalReturnFocus = null;
+        }
+        
+        // Stop modal audio
+        const modalAudio = document.getElementById('modalAudio');
+        if (modalAudio) {
+            modalAudio.pause();
+            modalAudio.currentTime = 0;
+        }
+        
+        if (this.waveformView) {
+            this.waveformView.stopPlayheadLoop();
+        }
+        
+        this.stopContinuousReview();
+        this.syncUrl();
+    }
+
+    navigateSample(direction) {
+        this.cancelReviewCountdown();
+        const newIndex = this.currentSampleIndex + direction;
+        if (newIndex >= 0 && newIndex < this.data.length) {
+            this.openModal(newIndex);
+        }
+    }
+
+
+    updateStats() {
+        const totalSamples = this.data ? this.data.length : 0;
+        
+        const totalSamplesElement = document.getElementById('totalSamples');
+        if (totalSamplesElement) {
+            totalSamplesElement.textContent = totalSamples;
+        }
+        
+        const filteredInfoElement = document.getElementById('filteredInfo');
+        if (filteredInfoElement) {
+            const loadedSamples = this.runs.length ? this.runs[0].results.length : 0;
+            filteredInfoElement.textContent = this.isFiltered() ? this.t('stats.filteredFrom', { count: loadedSamples }) : '';
+        }
+        
+        const rejectedInfoElement = document.getElementById('rejectedInfo');
+        if (rejectedInfoElement) {
+            const rejected = this.runs.length ? this.runs[0].validation.rejected : 0;
+            rejectedInfoElement.textContent = rejected ? this.t('stats.rejected', { count: rejected }) : '';
+        }
+        
+        this.updateReviewSummary();
+        
+        const rawMetrics = this.computeCorpusMetrics(this.data || [], 'raw');
+        const normalizedMetrics = this.computeCorpusMetrics(this.data || [], 'normalized');
+        const activeMetrics = this.textMode === 'raw' ? rawMetrics : normalizedMetrics;
+        
+        // The file's overall_wer is computed on raw text, so compare it against the raw corpus WER
+        const currentWERElement = document.getElementById('currentWER');
+        if (currentWERElement) {
+            currentWERElement.textContent = this.formatPercent(rawMetrics.wer);
+        }
+        
+        const reportedWERElement = document.getElementById('reportedWER');
+        if (reportedWERElement) {
+            const reportedWER = this.runInfo ? this.runInfo.overall_wer : undefined;
+            const hasReported = typeof reportedWER === 'number';
+            // The file's number covers every sample, so check it against the unfiltered run
+            const fullMetrics = this.isFiltered() ? this.computeCorpusMetrics(this.runs[0].results, 'raw') : rawMetrics;
+            const mismatch = hasReported && fullMetrics.wer !== null && Math.abs(reportedWER - fullMetrics.wer) > 0.0005;
+            const allSamples = this.isFiltered(); // Say the number is for every sample, not the filtered view
+            
+            reportedWERElement.classList.toggle('stat-mismatch', mismatch);
+            if (!hasReported) {
+                reportedWERElement.textContent = this.t('stats.reportedMissing');
+            } else if (mismatch) {
+                reportedWERElement.textContent = this.t(allSamples ? 'stats.reportedMismatchAll' : 'stats.reportedMismatch', { reported: this.formatPercent(reportedWER), computed: this.formatPercent(fullMetrics.wer) });
+            } else {
+                reportedWERElement.textContent = this.t(allSamples ? 'stats.reportedMatchAll' : 'stats.reportedMatch', { reported: this.formatPercent(reportedWER) });
+            }
+        }
+        
+        const editCountsElement = document.getElementById('editCounts');
+        if (editCountsElement) {
+            editCountsElement.textContent = `${activeMetrics.substitutions} / ${activeMetrics.insertions} / ${activeMetrics.deletions}`;
+        }
+        
+        const werComparisonElement = document.getElementById('werComparison');
+        if (werComparisonElement) {
+            werComparisonElement.textContent = `${this.formatPercent(rawMetrics.wer)} / ${this.formatPercent(normalizedMetrics.wer)}`;
+        }
+        
+        const cerComparisonElement = document.getElementById('cerComparison');
+        if (cerComparisonElement) {
+            cerComparisonElement.textContent = `${this.formatPercent(rawMetrics.cer)} / ${this.formatPercent(normalizedMetrics.cer)}`;
+        }
+        
+        this.renderDiacriticPanel();
+        this.renderAudioQualityPanel();
+        this.renderInsights();
+        this.renderStatistics();
+        this.scheduleStatistics();
+    }
+
+    formatPercent(rate) {
+        if (rate === null || rate === undefined || isNaN(rate)) return '-';
+        return `${(rate * 100).toFixed(1)}%`;
+    }
+
+    // A difference between two rates, in percentage points
+    formatPoints(difference) {
+        const value = (difference * 100).toFixed(1);
+        return this.t('common.points', { value: difference > 0 ? `+${value}` : value });
+    }
+
+    formatConfidence(confidence) {
+        return `${Math.round(confidence * 100)}%`;
+    }
+
+    formatPValue(p) {
+        return p < 0.001 ? '< 0.001' : p.toFixed(3);
+    }
+
+    // Texts as they should be compared under the given mode (defaults to the active one)
+    getComparisonTexts(item, mode = this.textMode) {
+        return getComparisonTexts(item, mode, this.normalizer);
+    }
+
+    // Cached with the sample metrics, so the insights view does not re-align the whole run on every stats refresh
+    getAlignment(item, mode = this.textMode) {
+        const entry = this.getMetricsCacheEntry(item);
+        const key = `${mode}Alignment`;
+        if (!entry[key]) {
+            const texts = this.getComparisonTexts(item, mode);
+            entry[key] = alignWords(texts.reference, texts.hypothesis);
+        }
+        return entry[key];
+    }
+
+    // Word and character edit counts for one sample
+    computeSampleMetrics(item, mode = this.textMode) {
+        const texts = this.getComparisonTexts(item, mode);
+        return computeTextMetrics(texts.reference, texts.hypothesis);
+    }
+
+    // Verdict buttons plus a note; on cards the note sits in a collapsible section
+    renderReviewControls(item, compact) {
+        const annotation = this.annotations.get(item.path) || { verdict: null, note: '' };
+        const buttons = REVIEW_VERDICTS.map(verdict => {
+            const label = this.escapeHtml(this.t(`verdict.${verdict.id}`));
+            return `
+                <button type="button" class="verdict-btn verdict-${verdict.id}${annotation.verdict === verdict.id ? ' active' : ''}"
+                    data-verdict="${verdict.id}" title="${label}" aria-pressed="${annotation.verdict === verdict.id}">
+                    <span class="verdict-icon">${verdict.icon}</span>
+                    <span class="verdict-label">${label}</span>
+                </button>
+            `;
+        }).join('');
+        const note = `<textarea class="review-note" rows="2" placeholder="${this.escapeAttribute(this.t('review.notePlaceholder'))}" dir="auto">${this.escapeHtml(annotation.note || '')}</textarea>`;
+        
+        return `
+            <div class="review-controls">
+                <div class="verdict-buttons" role="group" aria-label="${this.escapeAttribute(this.t('review.verdictGroup'))}">${buttons}</div>
+                ${compact
+                    ? `<details class="review-note-toggle"${annotation.note ? ' open' : ''}><summary>${this.escapeHtml(this.t('review.note'))}</summary>${note}</details>`
+                    : note}
+            </div>
+        `;
+    }
+
+    bindReviewControls(container, item) {
+        container.querySelectorAll('.verdict-btn').forEach(button => {
+            button.addEventListener('click', () => this.toggleVerdict(item, button.dataset.verdict));
+        });
+        
+        const noteInput = container.querySelector('.review-note');
+        if (noteInput) {
+            noteInput.addEventListener('input', () => {
+                this.annotations.setNote(item.path, noteInput.value);
+                this.refreshAnnotationViews(item.path, noteInput);
+            });
+        }
+    }
+
+    // Choosing the active verdict again clears it
+    toggleVerdict(item, verdictId) {
+        const current = this.annotations.get(item.path);
+        const verdict = current && current.verdict === verdictId ? null : verdictId;
+        this.annotations.setVerdict(item.path, verdict);
+        this.refreshAnnotationViews(item.path);
+        
+        const sample = this.t('sample.name', { id: this.getSampleId(item) });
+        this.announce(verdict
+            ? this.t('announce.verdictSet', { sample, verdict: this.t(`verdict.${verdict}`) })
+            : this.t('announce.verdictCleared', { sample }));
+    }
+
+    // Sync every visible copy of a sample's review controls; skip the textarea being typed in
+    refreshAnnotationViews(path, sourceInput = null) {
+        const annotation = this.annotations.get(path) || { verdict: null, note: '' };
+        const containers = Array.from(document.querySelectorAll('.audio-card'))
+            .filter(card => card.dataset.path === path);
+        
+        const modalItem = this.isModalOpen() ? this.data[this.currentSampleIndex] : null;
+        if (modalItem && modalItem.path === path) {
+            const modalReview = document.getElementById('modalReview');
+            if (modalReview) containers.push(modalReview);
+        }
+        
+        containers.forEach(container => {
+            container.querySelectorAll('.verdict-btn').forEach(button => {
+                const active = button.dataset.verdict === annotation.verdict;
+                button.classList.toggle('active', active);
+                button.setAttribute('aria-pressed', active.toString());
+            });
+            const noteInput = container.querySelector('.review-note');
+            if (noteInput && noteInput !== sourceInput) {
+                noteInput.value = annotation.note || '';
+            }
+        });
+        
+        this.updateReviewSummary();
+    }
+
+    updateReviewSummary() {
+        const reviewedElement = document.getElementById('reviewedCount');
+        const breakdownElement = document.getElementById('reviewBreakdown');
+        const items = this.data || [];
+        const summary = this.annotations.summarize(items.map(item => item.path));
+        
+        if (reviewedElement) {
+            reviewedElement.textContent = `${summary.reviewed} / ${items.length}`;
+        }
+        if (breakdownElement) {
+            breakdownElement.textContent = REVIEW_VERDICTS
+                .map(verdict => `${verdict.icon} ${summary[verdict.id]}`)
+                .join('  ') + (summary.notes ? `  📝 ${summary.notes}` : '');
+            breakdownElement.title = REVIEW_VERDICTS.map(verdict => `${this.t(`verdict.${verdict.id}`)}: ${summary[verdict.id]}`).join(', ');
+        }
+    }
+
+    exportAnnotations() {
+        this.downloadFile(
+            `review-annotations-${new Date().toISOString().slice(0, 10)}.json`,
+            JSON.stringify(this.annotations.export(), null, 2),
+            'application/json'
+        );
+    }
+
+    async importAnnotations(file) {
+        const status = document.getElementById('reviewStatusMessage');
+        try {
+            const imported = this.annotations.import(JSON.parse(await file.text()));
+            if (status) status.textContent = this.t('review.imported', { count: imported, file: file.name });
+            this.renderCurrentPage();
+            if (this.isModalOpen()) {
+                this.openModal(this.currentSampleIndex);
+            }
+            this.updateReviewSummary();
+        } catch (error) {
+            console.error('Error importing annotations:', error);
+            if (status) status.textContent = this.t('review.importFailed', { file: file.name, message: error.message });
+        }
+    }
+
+    downloadFile(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Reports cover the current view: filtered samples in their displayed order
+    exportReport(format) {
+        const status = document.getElementById('exportStatus');
+        const items = this.data || [];
+        if (!items.length) {
+            if (status) status.textContent = this.t('export.nothing');
+            return;
+        }
+        
+        const baseName = `evaluation-report-${new Date().toISOString().slice(0, 10)}`;
+        const rows = this.getReportRows(items);
+        
+        if (format === 'csv') {
+            this.downloadFile(`${baseName}.csv`, this.buildReportCsv(rows), 'text/csv;charset=utf-8');
+        } else if (format === 'json') {
+            this.downloadFile(`${baseName}.json`, JSON.stringify(this.buildReportJson(items, rows), null, 2), 'application/json');
+        } else if (format === 'html') {
+            this.downloadFile(`${baseName}.html`, this.buildHtmlReport(items, rows), 'text/html;charset=utf-8');
+        } else {
+            return;
+        }
+        
+        if (status) status.textContent = this.t('export.done', { samples: this.formatSampleCount(rows.length), format: format.toUpperCase() });
+    }
+
+    getReportRows(items) {
+        return items.map((item, index) => {
+            const metrics = this.getSampleMetrics(item);
+            const annotation = this.annotations.get(item.path) || {};
+            return {
+                position: index + 1,
+                id: this.getSampleId(item),
+                path: item.path,
+                ground_truth: item.ground_truth || '',
+                prediction: item.prediction || '',
+                wer: metrics.wer,
+                cer: metrics.cer,
+                ref_words: metrics.refWords,
+                hits: metrics.hits,
+                substitutions: metrics.substitutions,
+                insertions: metrics.insertions,
+                deletions: metrics.deletions,
+                verdict: annotation.verdict || '',
+                note: annotation.note || ''
+            };
+        });
+    }
+
+    buildReportCsv(rows) {
+        const columns = Object.keys(rows[0]);
+        const toCsvValue = value => {
+            if (value === null || value === undefined) return '';
+            let text = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(4) : String(value);
+            // Spreadsheets run text starting with these as a formula; numbers are left alone so they stay numeric
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [columns.join(',')].concat(rows.map(row => columns.map(column => toCsvValue(row[column])).join(',')));
+        // Leading BOM so spreadsheet apps read the Arabic text as UTF-8
+        return '\ufeff' + lines.join('\r\n') + '\r\n';
+    }
+
+    buildReportJson(items, rows) {
+        return {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            run: {
+                label: this.runs.length ? this.runs[0].label : null,
+                source: this.runs.length ? this.runs[0].source : null,
+                info: this.runInfo
+            },
+            textMode: this.textMode,
+            normalizationRules: this.textMode === 'normalized' ? this.normalizer.getEnabledRuleIds() : [],
+            filters: this.isFiltered() ? this.filters : null,
+            sort: { mode: this.sortMode, direction: this.sortDirection, seed: this.sortMode === 'shuffle' ? this.shuffleSeed : null },
+            summary: this.getReportSummary(items),
+            samples: rows
+        };
+    }
+
+    getReportSummary(items) {
+        return {
+            samples: items.length,
+            totalSamples: this.runs.length ? this.runs[0].results.length : items.length,
+            raw: this.computeCorpusMetrics(items, 'raw'),
+            normalized: this.computeCorpusMetrics(items, 'normalized'),
+            review: this.annotations.summarize(items.map(item => item.path))
+        };
+    }
+
+    // Plain-language description of the active filters for the report header
+    describeFilters() {
+        if (!this.isFiltered()) return this.t('filters.describe.all');
+        
+        const parts = [];
+        if (this.filters.query.trim()) parts.push(this.t('filters.describe.search', { query: this.filters.query.trim() }));
+        if (this.filters.werMin > 0 || this.filters.werMax < 100) {
+            parts.push(this.t('filters.describe.wer', { min: this.filters.werMin, max: this.filters.werMax >= 100 ? '100%+' : `${this.filters.werMax}%` }));
+        }
+        if (this.filters.match === 'exact') parts.push(this.t('filters.describe.exact'));
+        if (this.filters.match === 'errors') parts.push(this.t('filters.describe.errors'));
+        if (this.filters.errorTypes.length) {
+            const types = this.filters.errorTypes.map(type => this.t(`filters.describe.${type}`));
+            parts.push(this.t('filters.describe.has', { types: types.join(this.t('filters.describe.or')) }));
+        }
+        if (this.filters.focus) parts.push(this.filters.focus.label);
+        return parts.join(', ');
+    }
+
+    // Self-contained page: inline styles, no scripts or external assets, so it can be mailed or archived
+    buildHtmlReport(items, rows) {
+        const summary = this.getReportSummary(items);
+        const runLabel = this.runs.length ? this.runs[0].label : this.t('report.defaultRun');
+        const verdictLabels = {};
+        REVIEW_VERDICTS.forEach(verdict => {
+            verdictLabels[verdict.id] = `${verdict.icon} ${this.t(`verdict.${verdict.id}`)}`;
+        });
+        
+        const reviewSummary = REVIEW_VERDICTS
+            .map(verdict => `${verdictLabels[verdict.id]}: ${summary.review[verdict.id]}`)
+            .join(' · ');
+        
+        const sampleSections = items.map((item, index) => {
+            const row = rows[index];
+            const alignment = this.getAlignment(item);
+            const review = row.verdict || row.note
+                ? `<p class="review">${row.verdict ? `<strong>${this.escapeHtml(verdictLabels[row.verdict] || row.verdict)}</strong>` : ''}${row.note ? ` <span dir="auto">${this.escapeHtml(row.note)}</span>` : ''}</p>`
+                : '';
+            return `
+<section class="sample">
+    <h2>${this.escapeHtml(this.t('report.sampleHeading', { position: row.position, id: row.id }))} <small dir="ltr">${this.escapeHtml(row.path)}</small></h2>
+    <p class="metrics">${this.escapeHtml(this.t('report.metrics', { wer: this.formatPercent(row.wer), cer: this.formatPercent(row.cer), substitutions: row.substitutions, insertions: row.insertions, deletions: row.deletions }))}</p>
+    ${review}
+    <div class="texts">
+        <div><h3>${this.escapeHtml(this.t('sample.groundTruth'))}</h3><div class="text" dir="auto">${this.renderDiff(alignment, 'reference', true)}</div></div>
+        <div><h3>${this.escapeHtml(this.t('sample.prediction'))}</h3><div class="text" dir="auto">${this.renderDiff(alignment, 'hypothesis', true)}</div></div>
+    </div>
+</section>`;
+        }).join('');
+        
+        return `<!DOCTYPE html>
+<html lang="${this.translator.language}" dir="${this.translator.dir}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${this.escapeHtml(this.t('report.title', { run: runLabel }))}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b; background: #f8fafc; margin: 0; padding: 2rem; }
+main { max-width: 1100px; margin: 0 auto; }
+h1 { margin: 0 0 0.25rem; }
+.meta { color: #64748b; margin: 0 0 1.5rem; }
+table { border-collapse: collapse; margin-bottom: 1rem; background: #fff; }
+th, td { border: 1px solid #e2e8f0; padding: 0.4rem 0.75rem; text-align: start; }
+.sample { background: #fff; border: 1px solid #e2e8f0; border-radius: 0.5rem; padding: 1rem 1.25rem; margin-top: 1rem; page-break-inside: avoid; }
+.sample h2 { font-size: 1rem; margin: 0 0 0.25rem; }
+.sample h2 small { color: #94a3b8; font-weight: normal; }
+.sample h3 { font-size: 0.8rem; margin: 0 0 0.25rem; color: #64748b; text-transform: uppercase; }
+.metrics, .review { margin: 0.25rem 0; font-size: 0.875rem; color: #64748b; }
+.texts { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-top: 0.75rem; }
+.text { font-size: 20px; line-height: 1.8; border: 1px solid #e2e8f0; border-radius: 0.375rem; padding: 0.75rem; }
+.diff-word { border-radius: 0.375rem; padding: 0 0.2em; }
+.diff-sub { background: rgba(245, 158, 11, 0.2); box-shadow: inset 0 -2px 0 #f59e0b; }
+.diff-del { background: rgba(239, 68, 68, 0.15); text-decoration: line-through; text-decoration-color: #ef4444; }
+.diff-ins { background: rgba(59, 130, 246, 0.15); box-shadow: inset 0 -2px 0 #3b82f6; }
+.diff-gap { display: inline-block; width: 0.75em; height: 1em; vertical-align: middle; border-bottom: 2px dashed #ef4444; }
+.diff-gap-ins { border-bottom-color: #3b82f6; }
+@media (max-width: 768px) { .texts { grid-template-columns: 1fr; } }
+</style>
+</head>
+<body>
+<main>
+<h1>${this.escapeHtml(runLabel)}</h1>
+<p class="meta">${this.escapeHtml(this.t('report.meta', { date: new Date().toLocaleString(), filters: this.describeFilters(), shown: summary.samples, total: summary.totalSamples, mode: this.t(`text.${this.textMode}`) }))}</p>
+<table>
+    <tr><th></th><th>${this.escapeHtml(this.t('nav.raw'))}</th><th>${this.escapeHtml(this.t('nav.normalized'))}</th></tr>
+    <tr><th>${this.escapeHtml(this.t('report.corpusWer'))}</th><td>${this.formatPercent(summary.raw.wer)}</td><td>${this.formatPercent(summary.normalized.wer)}</td></tr>
+    <tr><th>${this.escapeHtml(this.t('report.corpusCer'))}</th><td>${this.formatPercent(summary.raw.cer)}</td><td>${this.formatPercent(summary.normalized.cer)}</td></tr>
+    <tr><th>${this.escapeHtml(this.t('stats.edits'))}</th><td>${summary.raw.substitutions} / ${summary.raw.insertions} / ${summary.raw.deletions}</td><td>${summary.normalized.substitutions} / ${summary.normalized.insertions} / ${summary.normalized.deletions}</td></tr>
+</table>
+<p class="meta">${this.escapeHtml(this.t('report.reviewed', { reviewed: summary.review.reviewed, count: summary.samples }))} · ${this.escapeHtml(reviewSummary)}</p>
+${sampleSections}
+</main>
+</body>
+</html>
+`;
+    }
+
+    // Everything derived from an item's texts, per mode; cleared whenever the normalization rules change
+    getMetricsCacheEntry(item) {
+        let entry = this.metricsCache.get(item);
+        if (!entry) {
+            entry = {};
+            this.metricsCache.set(item, entry);
+        }
+        return entry;
+    }
+
+    getSampleMetrics(item, mode = this.textMode) {
+        const entry = this.getMetricsCacheEntry(item);
+        if (!entry[mode]) {
+            entry[mode] = this.computeSampleMetrics(item, mode);
+        }
+        return entry[mode];
+    }
+
+    // Corpus WER/CER: total edits over total reference length, not a mean of per-sample rates
+    computeCorpusMetrics(items, mode = this.textMode) {
+        return aggregateMetrics(items.map(item => this.getSampleMetrics(item, mode)));
+    }
+
+    // Letter and diacritic layers of one sample, cached alongside the word metrics
+    getDiacriticMetrics(item, mode = this.textMode) {
+        const entry = this.getMetricsCacheEntry(item);
+        const key = `${mode}Diacritics`;
+        if (!entry[key]) {
+            const texts = this.getComparisonTexts(item, mode);
+            entry[key] = this.diacriticAnalyzer.combine([this.diacriticAnalyzer.analyze(texts.reference, texts.hypothesis)]);
+        }
+        return entry[key];
+    }
+
+    renderDiacriticPanel() {
+        const panel = document.getElementById('diacriticPanel');
+        const summaryElement = document.getElementById('diacriticSummary');
+        const matrixElement = document.getElementById('diacriticMatrix');
+        const topElement = document.getElementById('diacriticTopConfusions');
+        if (!panel || !panel.open || !summaryElement || !matrixElement || !topElement) return;
+        
+        const totals = this.diacriticAnalyzer.combine((this.data || []).map(item => this.getDiacriticMetrics(item)));
+        const strippedNote = this.textMode === 'normalized' && this.normalizer.isEnabled('diacritics')
+            ? `<span class="stat-detail stat-warning">${this.escapeHtml(this.t('diacritics.droppedNote'))}</span>`
+            : '';
+        
+        summaryElement.innerHTML = `
+            <span class="metric-badge" title="${this.escapeAttribute(this.t('diacritics.letterRateTitle'))}">${this.escapeHtml(this.t('diacritics.letterRate', { rate: this.formatPercent(totals.letterErrorRate) }))}</span>
+            <span class="metric-badge" title="${this.escapeAttribute(this.t('diacritics.diacriticRateTitle'))}">${this.escapeHtml(this.t('diacritics.diacriticRate', { rate: this.formatPercent(totals.diacriticErrorRate) }))}</span>
+            <span class="metric-badge">${this.escapeHtml(this.t('diacritics.letterErrors', { errors: totals.letterErrors, total: totals.refLetters }))}</span>
+            <span class="metric-badge">${this.escapeHtml(this.t('diacritics.diacriticErrors', { errors: totals.diacriticErrors, total: totals.comparedLetters }))}</span>
+            <span class="metric-badge">${this.escapeHtml(this.t(this.textMode === 'raw' ? 'text.rawMode' : 'text.normalizedMode'))}</span>
+            ${strippedNote}
+        `;
+        
+        // Keep the matrix readable: the most frequent mark combinations on either side
+        const frequency = {};
+        Object.entries(totals.confusions).forEach(([refMarks, row]) => {
+            Object.entries(row).forEach(([hypMarks, count]) => {
+                frequency[refMarks] = (frequency[refMarks] || 0) + count;
+                frequency[hypMarks] = (frequency[hypMarks] || 0) + count;
+            });
+        });
+        const keys = Object.keys(frequency).sort((a, b) => frequency[b] - frequency[a]).slice(0, 12);
+        
+        if (!keys.length) {
+            matrixElement.innerHTML = `<p class="run-status">${this.escapeHtml(this.t('diacritics.noLetters'))}</p>`;
+            topElement.innerHTML = '';
+            return;
+        }
+        
+        const header = keys.map(key => `<th scope="col" title="${this.escapeAttribute(this.describeMarks(key))}">${this.renderMarkSample(key)}</th>`).join('');
+        const rows = keys.map(refMarks => {
+            const row = totals.confusions[refMarks] || {};
+            const rowTotal = Object.values(row).reduce((sum, count) => sum + count, 0);
+            const cells = keys.map(hypMarks => {
+                const count = row[hypMarks] || 0;
+                if (!count) return '<td></td>';
+                const share = count / rowTotal;
+                const cellClass = refMarks === hypMarks ? 'cm-correct' : 'cm-error';
+                const title = this.t('diacritics.cellTitle', {
+                    reference: this.describeMarks(refMarks),
+                    predicted: this.describeMarks(hypMarks),
+                    count,
+                    share: this.formatPercent(share)
+                });
+                return `<td class="${cellClass}" style="--cm-share: ${share.toFixed(3)}" title="${this.escapeAttribute(title)}">${count}</td>`;
+            }).join('');
+            return `<tr><th scope="row" title="${this.escapeAttribute(this.describeMarks(refMarks))}">${this.renderMarkSample(refMarks)}</th>${cells}</tr>`;
+        }).join('');
+        
+        matrixElement.innerHTML = `
+            <table class="confusion-matrix">
+                <thead><tr><th class="cm-corner">${this.escapeHtml(this.t('diacritics.corner'))}</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        
+        const confusions = [];
+        Object.entries(totals.confusions).forEach(([refMarks, row]) => {
+            Object.entries(row).forEach(([hypMarks, count]) => {
+                if (refMarks !== hypMarks) confusions.push({ refMarks, hypMarks, count });
+            });
+        });
+        confusions.sort((a, b) => b.count - a.count);
+        
+        topElement.innerHTML = confusions.length
+            ? `<h4>${this.escapeHtml(this.t('diacritics.topConfusions'))}</h4><ol>${confusions.slice(0, 10).map(confusion => `
+                <li>
+                    ${this.renderMarkSample(confusion.refMarks)} ${this.escapeHtml(this.describeMarks(confusion.refMarks))}
+                    ${this.t('common.arrow')} ${this.renderMarkSample(confusion.hypMarks)} ${this.escapeHtml(this.describeMarks(confusion.hypMarks))}
+                    <span class="metric-badge">×${confusion.count}</span>
+                </li>
+            `).join('')}</ol>`
+            : `<p class="run-status">${this.escapeHtml(this.t('diacritics.noConfusions'))}</p>`;
+    }
+
+    // Mark names from the catalog (mark.<code point>), else the English ones metrics.js knows
+    describeMarks(key) {
+        if (!key) return this.t('mark.none');
+        return Array.from(key).map(char => {
+            const code = char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0');
+            return this.translator.has(`mark.${code}`) ? this.t(`mark.${code}`) : this.diacriticAnalyzer.describeMarks(char);
+        }).join(this.t('mark.separator'));
+    }
+
+    // Show a mark combination on a dotted circle so it is visible on its own
+    renderMarkSample(key) {
+        return key ? `<span class="mark-sample" dir="rtl">◌${this.escapeHtml(key)}</span>` : '<span class="mark-none">∅</span>';
+    }
+
+    // Analyzes every sample in the current view. All files are queued at once, and the analyzer
+    // reads at most its concurrency setting (two) of them at a time; files already done are skipped.
+    async analyzeAllAudio() {
+        if (!this.data || !this.data.length) return;
+        const button = document.getElementById('analyzeAllAudio');
+        if (button) button.disabled = true;
+        
+        await Promise.all(this.data.map(item => this.audioQualityAnalyzer.analyze(this.mapAudioPath(item.path)).then(() => this.scheduleAudioQualityPanel())));
+        
+        if (button) button.disabled = false;
+        this.renderAudioQualityPanel();
+    }
+
+    // Results arrive one file at a time; redraw the chart at most a few times a second
+    scheduleAudioQualityPanel() {
+        if (this.qualityRenderTimer) return;
+        this.qualityRenderTimer = setTimeout(() => {
+            this.qualityRenderTimer = null;
+            this.renderAudioQualityPanel();
+        }, 250);
+    }
+
+    renderAudioQualityPanel() {
+        const panel = document.getElementById('audioQualityPanel');
+        const statusElement = document.getElementById('audioQualityStatus');
+        const scatterElement = document.getElementById('audioQualityScatter');
+        const issuesElement = document.getElementById('audioQualityIssues');
+        if (!panel || !panel.open || !statusElement || !scatterElement || !issuesElement) return;
+        
+        const analyzer = this.audioQualityAnalyzer;
+        const measure = AUDIO_QUALITY_MEASURES.find(entry => entry.key === this.qualityMeasure) || AUDIO_QUALITY_MEASURES[0];
+        const items = this.data || [];
+        const samples = [];
+        let failed = 0;
+        items.forEach((item, index) => {
+            const quality = analyzer.get(this.mapAudioPath(item.path));
+            if (!quality) return;
+            if (quality.error) {
+                failed++;
+                return;
+            }
+            samples.push({ item, index, quality, wer: this.getSampleMetrics(item).wer, issues: analyzer.getIssues(quality) });
+        });
+        
+        const pending = items.length - samples.length - failed;
+        statusElement.textContent = this.t('quality.status', { analyzed: samples.length, count: items.length }) +
+            (failed ? this.t('quality.statusFailed', { count: failed }) : '') +
+            (pending ? this.t('quality.statusPending', { count: pending }) : '');
+        
+        const points = samples.filter(sample => sample.wer !== null && isFinite(sample.quality[measure.key]));
+        scatterElement.innerHTML = points.length
+            ? this.renderQualityScatter(points, measure)
+            : `<p class="run-status">${this.escapeHtml(this.t('quality.noPoints'))}</p>`;
+        
+        // Mean per-sample WER with and without each issue
+        const meanWer = group => (group.length ? group.reduce((sum, sample) => sum + sample.wer, 0) / group.length : null);
+        const scored = samples.filter(sample => sample.wer !== null);
+        const rows = AUDIO_QUALITY_ISSUES.map(key => {
+            const withIssue = scored.filter(sample => sample.issues.some(issue => issue.key === key));
+            const without = scored.filter(sample => !sample.issues.some(issue => issue.key === key));
+            return { description: this.t(`quality.issue.${key}`), withIssue, without };
+        }).filter(row => row.withIssue.length);
+        
+        issuesElement.innerHTML = rows.length ? `
+            <table class="quality-issue-table">
+                <thead><tr>${['issue', 'samples', 'meanWith', 'meanWithout'].map(key => `<th>${this.escapeHtml(this.t(`quality.${key}`))}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${this.escapeHtml(row.description)}</td>
+                            <td>${row.withIssue.length}</td>
+                            <td>${this.formatPercent(meanWer(row.withIssue))}</td>
+                            <td>${this.formatPercent(meanWer(row.without))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : (samples.length ? `<p class="run-status">${this.escapeHtml(this.t('quality.noIssues'))}</p>` : '');
+    }
+
+    // SVG scatter of one audio measure (x) against per-sample WER (y); points open their sample
+    renderQualityScatter(points, measure) {
+        const width = 640;
+        const height = 300;
+        const pad = { left: 48, right: 16, top: 12, bottom: 36 };
+        const xs = points.map(point => point.quality[measure.key]);
+        let xMin = Math.min(...xs);
+        let xMax = Math.max(...xs);
+        if (xMin === xMax) {
+            xMin -= 1;
+            xMax += 1;
+        }
+        const yMax = Math.max(1, ...points.map(point => point.wer));
+        const x = value => pad.left + (value - xMin) / (xMax - xMin) * (width - pad.left - pad.right);
+        const y = value => height - pad.bottom - value / yMax * (height - pad.top - pad.bottom);
+        
+        const ticks = [0, 0.25, 0.5, 0.75, 1];
+        const xTicks = ticks.map(t => xMin + t * (xMax - xMin));
+        const yTicks = ticks.map(t => t * yMax);
+        const correlation = this.getCorrelation(xs, points.map(point => point.wer));
+        const axisLabel = this.t(`quality.axis.${measure.key}`);
+        
+        // Charts keep a left-to-right x axis whatever the page direction
+        return `
+            <svg class="quality-scatter-chart" dir="ltr" viewBox="0 0 ${width} ${height}" role="img" aria-label="${this.escapeAttribute(this.t('quality.scatterLabel', { measure: axisLabel }))}">
+                ${yTicks.map(value => `
+                    <line class="scatter-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}"></line>
+                    <text class="scatter-tick" x="${pad.left - 6}" y="${y(value) + 4}" text-anchor="end">${Math.round(value * 100)}%</text>
+                `).join('')}
+                ${xTicks.map(value => `
+                    <text class="scatter-tick" x="${x(value)}" y="${height - pad.bottom + 16}" text-anchor="middle">${measure.format(value)}</text>
+                `).join('')}
+                <text class="scatter-axis" x="${(pad.left + width - pad.right) / 2}" y="${height - 4}" text-anchor="middle">${this.escapeHtml(axisLabel)}</text>
+                ${points.map(point => `
+                    <circle class="scatter-point${point.issues.length ? ' has-issues' : ''}" data-index="${point.index}"
+                        cx="${x(point.quality[measure.key]).toFixed(1)}" cy="${y(point.wer).toFixed(1)}" r="5">
+                        <title>${this.escapeHtml(this.t('sample.name', { id: this.getSampleId(point.item) }))} · WER ${this.formatPercent(point.wer)} · ${this.escapeHtml(measure.format(point.quality[measure.key]))}${point.issues.length ? ` · ${this.escapeHtml(point.issues.map(issue => this.t(`quality.badge.${issue.key}`, issue.params)).join(', '))}` : ''}</title>
+                    </circle>
+                `).join('')}
+            </svg>
+            <div class="run-status">${this.escapeHtml(this.t('quality.scatterFooter', { samples: this.formatSampleCount(points.length), r: correlation === null ? '-' : correlation.toFixed(2) }))}</div>
+        `;
+    }
+
+    getCorrelation(xs, ys) {
+        const n = xs.length;
+        if (n < 3) return null;
+        const meanX = xs.reduce((a, b) => a + b, 0) / n;
+        const meanY = ys.reduce((a, b) => a + b, 0) / n;
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (xs[i] - meanX) * (ys[i] - meanY);
+            varianceX += (xs[i] - meanX) ** 2;
+            varianceY += (ys[i] - meanY) ** 2;
+        }
+        return varianceX && varianceY ? covariance / Math.sqrt(varianceX * varianceY) : null;
+    }
+
+    // Tally every alignment in the primary run: which words go wrong, how, and in which samples
+    computeCorpusInsights(items, mode = this.textMode) {
+        const groups = {
+            missed: new Map(),
+            substituted: new Map(),
+            deleted: new Map(),
+            inserted: new Map(),
+            pairs: new Map()
+        };
+        const referenceCounts = new Map();
+        const tally = (map, key, values, item) => {
+            let entry = map.get(key);
+            if (!entry) {
+                entry = { ...values, count: 0, items: [] };
+                map.set(key, entry);
+            }
+            entry.count++;
+            if (entry.items[entry.items.length - 1] !== item) entry.items.push(item);
+        };
+        
+        items.forEach(item => {
+            this.getAlignment(item, mode).forEach(op => {
+                if (op.ref !== null) {
+                    referenceCounts.set(op.ref, (referenceCounts.get(op.ref) || 0) + 1);
+                }
+                if (op.type === 'substitute') {
+                    tally(groups.missed, op.ref, { word: op.ref }, item);
+                    tally(groups.substituted, op.ref, { word: op.ref }, item);
+                    tally(groups.pairs, `${op.ref}\t${op.hyp}`, { word: op.ref, replacement: op.hyp }, item);
+                } else if (op.type === 'delete') {
+                    tally(groups.missed, op.ref, { word: op.ref }, item);
+                    tally(groups.deleted, op.ref, { word: op.ref }, item);
+                } else if (op.type === 'insert') {
+                    tally(groups.inserted, op.hyp, { word: op.hyp }, item);
+                }
+            });
+        });
+        
+        const ranked = map => Array.from(map.values()).sort((a, b) => b.count - a.count || b.items.length - a.items.length);
+        const missed = ranked(groups.missed);
+        missed.forEach(entry => {
+            entry.occurrences = referenceCounts.get(entry.word) || entry.count;
+        });
+        
+        return {
+            missed,
+            substituted: ranked(groups.substituted),
+            deleted: ranked(groups.deleted),
+            inserted: ranked(groups.inserted),
+            pairs: ranked(groups.pairs)
+        };
+    }
+
+    renderInsights() {
+        const content = document.getElementById('insightsContent');
+        const summaryElement = document.getElementById('insightsSummary');
+        if (this.activeSection !== 'insights' || !content || !this.runs.length) return;
+        
+        // Insights always cover the whole primary run; the filter bar only narrows the card list
+        const items = this.runs[0].results;
+        const insights = this.computeCorpusInsights(items);
+        const corpus = this.computeCorpusMetrics(items);
+        const limit = 20;
+        
+        if (summaryElement) {
+            summaryElement.textContent = this.t('insights.summary', {
+                samples: this.formatSampleCount(items.length),
+                errors: corpus.wordErrors,
+                substitutions: corpus.substitutions,
+                deletions: corpus.deletions,
+                insertions: corpus.insertions,
+                mode: this.t(`text.${this.textMode}`)
+            });
+        }
+        
+        this.insightGroups = [
+            { id: 'pairs', title: this.t('insights.pairs'), entries: insights.pairs.slice(0, limit) },
+            { id: 'missed', title: this.t('insights.missed'), entries: insights.missed.slice(0, limit) },
+            { id: 'substituted', title: this.t('insights.substituted'), entries: insights.substituted.slice(0, limit) },
+            { id: 'deleted', title: this.t('insights.deleted'), entries: insights.deleted.slice(0, limit) },
+            { id: 'inserted', title: this.t('insights.inserted'), entries: insights.inserted.slice(0, limit) }
+        ];
+        
+        content.innerHTML = this.insightGroups.map(group => `
+            <div class="insight-card">
+                <h3>${this.escapeHtml(group.title)}</h3>
+                ${group.entries.length
+                    ? `<ol class="insight-list">${group.entries.map((entry, index) => this.renderInsightEntry(group, entry, index)).join('')}</ol>`
+                    : `<p class="run-status">${this.escapeHtml(this.t('insights.empty'))}</p>`}
+            </div>
+        `).join('');
+    }
+
+    renderInsightEntry(group, entry, index) {
+        const maxChips = 6;
+        const word = group.id === 'pairs'
+            ? `<span class="insight-word diff-sub">${this.escapeHtml(entry.word)}</span> → <span class="insight-word diff-sub">${this.escapeHtml(entry.replacement)}</span>`
+            : `<span class="insight-word">${this.escapeHtml(entry.word)}</span>`;
+        const rate = group.id === 'missed'
+            ? ` <span class="insight-rate" title="${this.escapeAttribute(this.t('insights.rateTitle'))}">${entry.count}/${entry.occurrences}</span>`
+            : '';
+        const chips = entry.items.slice(0, maxChips).map(item => `
+            <button class="sample-chip" data-group="${group.id}" data-entry="${index}" data-path="${this.escapeAttribute(item.path)}" title="${this.escapeAttribute(this.t('insights.openSample', { id: this.getSampleId(item) }))}">${this.escapeHtml(this.getSampleId(item))}</button>
+        `).join('');
+        const more = entry.items.length > maxChips ? `<span class="insight-more">+${entry.items.length - maxChips}</span>` : '';
+        
+        return `
+            <li class="insight-entry">
+                <div class="insight-main">
+                    <span class="insight-words" dir="auto">${word}</span>
+                    <span class="metric-badge">×${entry.count}</span>${rate}
+                </div>
+                <div class="insight-samples">
+                    ${chips}${more}
+                    <button class="mode-btn toolbar-btn" data-group="${group.id}" data-entry="${index}" title="${this.escapeAttribute(this.t('insights.showTitle'))}">${this.escapeHtml(this.t('insights.show', { count: entry.items.length }))}</button>
+                </div>
+            </li>
+        `;
+    }
+
+    // Links narrow the card list to the samples behind an entry; a sample chip also opens that sample
+    handleInsightClick(e) {
+        const button = e.target.closest('[data-group][data-entry]');
+        if (!button) return;
+        
+        const group = this.insightGroups.find(candidate => candidate.id === button.dataset.group);
+        const entry = group && group.entries[parseInt(button.dataset.entry)];
+        if (!entry) return;
+        
+        const label = group.id === 'pairs'
+            ? `${entry.word} → ${entry.replacement}`
+            : `${group.title.toLowerCase()}: ${entry.word}`;
+        this.filters = { ...this.getDefaultFilters(), ignoreHarakat: this.filters.ignoreHarakat, normalizeHamza: this.filters.normalizeHamza };
+        this.filters.focus = { label, paths: entry.items.map(item => item.path) };
+        this.updateFilterControls();
+        this.setSection('samples');
+        this.applyView();
+        
+        if (button.dataset.path) {
+            const index = this.data.findIndex(item => item.path === button.dataset.path);
+            if (index !== -1) this.openModal(index);
+        }
+    }
+
+    renderSampleMetrics(metrics) {
+        const werClass = metrics.wordErrors === 0 ? 'metric-exact' : 'metric-errors';
+        return `
+            <div class="sample-metrics">
+                <span class="metric-badge ${werClass}" title="${this.escapeAttribute(this.t('metric.wer'))}">WER ${this.formatPercent(metrics.wer)}</span>
+                <span class="metric-badge" title="${this.escapeAttribute(this.t('metric.cer'))}">CER ${this.formatPercent(metrics.cer)}</span>
+                ${['substitutions', 'insertions', 'deletions'].map(type => `
+                    <span class="metric-badge" title="${this.escapeAttribute(this.t(`metric.${type}`))}">${this.escapeHtml(this.t(`metric.badge.${type}`, { count: metrics[type] }))}</span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    setTextMode(mode) {
+        if (mode !== 'raw' && mode !== 'normalized') return;
+        this.textMode = mode;
+        this.updateTextModeControls();
+        
+        try {
+            localStorage.setItem('preferredTextMode', mode);
+        } catch (e) {
+            console.warn('Could not save text mode preference:', e);
+        }
+        
+        this.refreshComparisons();
+        this.announce(this.t('announce.textMode', { mode: this.t(`text.${mode}`), wer: this.formatPercent(this.computeCorpusMetrics(this.data || []).wer) }));
+    }
+
+    updateTextModeControls() {
+        const rawBtn = document.getElementById('rawTextMode');
+        const normalizedBtn = document.getElementById('normalizedTextMode');
+        if (rawBtn && normalizedBtn) {
+            rawBtn.classList.toggle('active', this.textMode === 'raw');
+            normalizedBtn.classList.toggle('active', this.textMode === 'normalized');
+        }
+    }
+
+    renderNormalizationControls() {
+        const container = document.getElementById('normalizationRules');
+        if (!container) return;
+        
+        // metrics.js names the rules in English; other catalogs translate them as rule.<id>.label / .description
+        const describe = (rule, field) => (this.translator.has(`rule.${rule.id}.${field}`) ? this.t(`rule.${rule.id}.${field}`) : rule[field]);
+        container.innerHTML = this.normalizer.rules.map(rule => `
+            <label class="rule-option" title="${this.escapeAttribute(describe(rule, 'description'))}">
+                <input type="checkbox" data-rule="${rule.id}" ${this.normalizer.isEnabled(rule.id) ? 'checked' : ''}>
+                <span class="rule-label">${this.escapeHtml(describe(rule, 'label'))}</span>
+                <span class="rule-description">${this.escapeHtml(describe(rule, 'description'))}</span>
+            </label>
+        `).join('');
+        
+        container.querySelectorAll('input[data-rule]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.normalizer.setRuleEnabled(input.dataset.rule, input.checked);
+                this.metricsCache = new WeakMap();
+                this.saveNormalizationPreferences();
+                this.refreshComparisons();
+            });
+        });
+    }
+
+    loadNormalizationPreferences() {
+        try {
+            const savedRules = localStorage.getItem('preferredNormalizationRules');
+            if (savedRules) {
+                const ruleIds = JSON.parse(savedRules);
+                if (Array.isArray(ruleIds)) {
+                    this.normalizer = new TextNormalizer(ruleIds);
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load normalization preference:', e);
+        }
+        
+        try {
+            const savedMode = localStorage.getItem('preferredTextMode');
+            this.textMode = savedMode === 'raw' ? 'raw' : 'normalized';
+        } catch (e) {
+            console.warn('Could not load text mode preference:', e);
+        }
+        
+        const rawBtn = document.getElementById('rawTextMode');
+        const normalizedBtn = document.getElementById('normalizedTextMode');
+        if (rawBtn && normalizedBtn) {
+            rawBtn.classList.toggle('active', this.textMode === 'raw');
+            normalizedBtn.classList.toggle('active', this.textMode === 'normalized');
+        }
+    }
+
+    saveNormalizationPreferences() {
+        try {
+            localStorage.setItem('preferredNormalizationRules', JSON.stringify(this.normalizer.getEnabledRuleIds()));
+        } catch (e) {
+            console.warn('Could not save normalization preference:', e);
+        }
+    }
+
+    // Re-render everything that depends on how texts are compared
+    refreshComparisons() {
+        if (!this.data) return;
+        
+        // WER and error-count orderings depend on how texts are compared, so re-sort but keep the open sample
+        const openItem = this.isModalOpen() ? this.data[this.currentSampleIndex] : null;
+        this.data = this.buildView();
+        this.totalPages = Math.max(1, Math.ceil(this.data.length / this.cardsPerPage));
+        this.currentPage = Math.min(this.currentPage, this.totalPages - 1);
+        this.updatePaginationControls();
+        
+        if (openItem) {
+            const openIndex = this.data.indexOf(openItem);
+            if (openIndex === -1) {
+                this.closeModal();
+            } else {
+                this.currentSampleIndex = openIndex;
+            }
+        }
+        
+        this.renderCurrentPage();
+        this.updateStats();
+        this.renderRunsPanel();
+        if (this.isModalOpen()) {
+            this.openModal(this.currentSampleIndex);
+        }
+    }
+
+    loadPreferences() {
+        // Load font size
+        try {
+            const savedFontSize = localStorage.getItem('preferredFontSize');
+            if (savedFontSize) {
+                const size = parseInt(savedFontSize);
+                if (size >= this.minFontSize && size <= this.maxFontSize) {
+                    this.currentFontSize = size;
+                    this.updateFontSize();
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load font size preference:', e);
+        }
+        
+        // Load view preference
+        try {
+            const savedView = localStorage.getItem('preferredView');
+            if (savedView && (savedView === 'grid' || savedView === 'list')) {
+                this.setView(savedView);
+            } else {
+                // Default to list view
+                this.setView('list');
+            }
+        } catch (e) {
+            console.warn('Could not load view preference:', e);
+            this.setView('list');
+        }
+        
+        // Load dark mode preference
+        try {
+            const savedDarkMode = localStorage.getItem('preferredDarkMode');
+            if (savedDarkMode === 'true') {
+                this.isDarkMode = true;
+                this.applyDarkMode();
+            } else {
+                // Check system preference
+                if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
+                    this.isDarkMode = true;
+                    this.applyDarkMode();
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load dark mode preference:', e);
+        }
+    }
+
+    increaseFontSize() {
+        if (this.currentFontSize < this.maxFontSize) {
+            this.currentFontSize += 2;
+            this.updateFontSize();
+        }
+    }
+
+    decreaseFontSize() {
+        if (this.currentFontSize > this.minFontSize) {
+            this.currentFontSize -= 2;
+            this.updateFontSize();
+        }
+    }
+
+    updateFontSize() {
+        const fontSizeDisplay = document.getElementById('fontSize');
+        if (fontSizeDisplay) {
+            fontSizeDisplay.textContent = `${this.currentFontSize}px`;
+        }
+        
+        const textContents = document.querySelectorAll('.text-content, .modal-text-content');
+        textContents.forEach(element => {
+            element.style.fontSize = `${this.currentFontSize}px`;
+        });
+        
+        if (this.virtualList) {
+            this.virtualList.invalidateHeights();
+        }
+
+        try {
+            localStorage.setItem('preferredFontSize', this.currentFontSize.toString());
+        } catch (e) {
+            console.warn('Could not save font size preference:', e);
+        }
+    }
+
+    loadTextDisplayPreferences() {
+        try {
+            const savedFont = localStorage.getItem('preferredTextFont');
+            if (TEXT_FONTS.includes(savedFont)) {
+                this.textFont = savedFont;
+            }
+            this.showHarakat = localStorage.getItem('preferredShowHarakat') !== 'false';
+            this.colorHarakat = localStorage.getItem('preferredColorHarakat') === 'true';
+        } catch (e) {
+            console.warn('Could not load text display preference:', e);
+        }
+        this.applyTextDisplay();
+    }
+
+    saveTextDisplayPreferences() {
+        try {
+            localStorage.setItem('preferredTextFont', this.textFont);
+            localStorage.setItem('preferredShowHarakat', this.showHarakat.toString());
+            localStorage.setItem('preferredColorHarakat', this.colorHarakat.toString());
+        } catch (e) {
+            console.warn('Could not save text display preference:', e);
+        }
+    }
+
+    // The font is a data attribute that style.css maps to a font stack, so no text needs re-rendering
+    applyTextDisplay() {
+        document.documentElement.dataset.textFont = this.textFont;
+        
+        const textFontSelect = document.getElementById('textFont');
+        const showHarakatToggle = document.getElementById('showHarakat');
+        const colorHarakatToggle = document.getElementById('colorHarakat');
+        if (textFontSelect) textFontSelect.value = this.textFont;
+        if (showHarakatToggle) showHarakatToggle.checked = this.showHarakat;
+        if (colorHarakatToggle) {
+            colorHarakatToggle.checked = this.colorHarakat;
+            colorHarakatToggle.disabled = !this.showHarakat;
+        }
+    }
+
+    setTextFont(font) {
+        if (!TEXT_FONTS.includes(font)) return;
+        this.textFont = font;
+        this.applyTextDisplay();
+        this.saveTextDisplayPreferences();
+        
+        if (this.virtualList) {
+            this.virtualList.invalidateHeights();
+        }
+    }
+
+    // Hiding or coloring harakat changes the markup of every diff, so cards and the open sample are drawn again
+    setHarakatDisplay(show, color) {
+        this.showHarakat = show;
+        this.colorHarakat = color;
+        this.applyTextDisplay();
+        this.saveTextDisplayPreferences();
+        
+        if (!this.data) return;
+        this.renderCurrentPage();
+        if (this.isModalOpen()) {
+            this.openModal(this.currentSampleIndex);
+        }
+    }
+
+    setView(view) {
+        this.currentView = view;
+        const container = document.getElementById('cardsContainer');
+        const gridBtn = document.getElementById('gridView');
+        const listBtn = document.getElementById('listView');
+        
+        if (container) {
+            container.className = `cards-container ${view}-view${this.virtualList ? ' virtual-scroll' : ''}`;
+        }
+        
+        if (gridBtn && listBtn) {
+            gridBtn.classList.toggle('active', view === 'grid');
+            listBtn.classList.toggle('active', view === 'list');
+        }
+        
+        // Column count changes with the view, so continuous scroll has to lay out again
+        if (this.virtualList) {
+            this.virtualList.invalidateHeights();
+        }
+        
+        try {
+            localStorage.setItem('preferredView', view);
+        } catch (e) {
+            console.warn('Could not save view preference:', e);
+        }
+        
+        this.syncUrl();
+    }
+
+    setSection(section) {
+        if (section !== 'samples' && section !== 'insights') return;
+        this.activeSection = section;
+        
+        const main = document.querySelector('.main-content');
+        if (main) {
+            main.classList.toggle('insights-active', section === 'insights');
+        }
+        document.querySelectorAll('[data-section]').forEach(button => {
+            button.classList.toggle('active', button.dataset.section === section);
+        });
+        
+        this.renderInsights();
+        this.scrollToTop();
+        this.syncUrl();
+    }
+
+    toggleDarkMode() {
+        this.isDarkMode = !this.isDarkMode;
+        this.applyDarkMode();
+        
+        try {
+            localStorage.setItem('preferredDarkMode', this.isDarkMode.toString());
+        } catch (e) {
+            console.warn('Could not save dark mode preference:', e);
+        }
+    }
+
+    applyDarkMode() {
+        const body = document.body;
+        const darkModeToggle = document.getElementById('darkModeToggle');
+        
+        if (this.isDarkMode) {
+            body.setAttribute('data-theme', 'dark');
+            if (darkModeToggle) {
+                darkModeToggle.innerHTML = `<span class="btn-icon">☀️</span><span class="btn-text">${this.escapeHtml(this.t('nav.light'))}</span>`;
+                darkModeToggle.title = this.t('nav.lightTitle');
+            }
+        } else {
+            body.removeAttribute('data-theme');
+            if (darkModeToggle) {
+                darkModeToggle.innerHTML = `<span class="btn-icon">🌙</span><span class="btn-text">${this.escapeHtml(this.t('nav.dark'))}</span>`;
+                darkModeToggle.title = this.t('nav.darkTitle');
+            }
+        }
+    }
+
+    // Interface language: the saved choice, else the first browser language with a catalog, else English
+    loadLanguagePreference() {
+        let savedLanguage = null;
+        try {
+            savedLanguage = localStorage.getItem('preferredLanguage');
+        } catch (e) {
+            console.warn('Could not load language preference:', e);
+        }
+        this.applyLanguage(detectLanguage(savedLanguage, navigator.languages || [navigator.language]));
+    }
+
+    setLanguage(language) {
+        if (!LANGUAGES.some(entry => entry.id === language)) return;
+        this.applyLanguage(language);
+        
+        try {
+            localStorage.setItem('preferredLanguage', language);
+        } catch (e) {
+            console.warn('Could not save language preference:', e);
+        }
+        
+        // Everything built in script carries translated text, so render it again
+        this.renderNormalizationControls();
+        this.updateReviewStatus(this.continuousReview ? this.t('continuous.playing') : '');
+        this.updateOfflineIndicator();
+        if (this.data) {
+            this.renderRunInfo();
+            this.renderValidationReport();
+            this.refreshComparisons();
+            this.renderInsights();
+            this.renderDiacriticPanel();
+            this.renderAudioQualityPanel();
+            this.setStatus(this.t('status.ready'), 'ready');
+            this.updateSourceInfo();
+        }
+        if (this.isShortcutsOpen()) {
+            this.renderShortcuts();
+        }
+        this.announce(this.t('announce.language'));
+    }
+
+    // Switches the catalog, the document direction and the static markup; setLanguage() re-renders the rest
+    applyLanguage(language) {
+        this.translator.setLanguage(language);
+        document.documentElement.lang = this.translator.language;
+        document.documentElement.dir = this.translator.dir;
+        
+        const languageSelect = document.getElementById('languageSelect');
+        if (languageSelect) languageSelect.value = this.translator.language;
+        
+        this.applyTranslations();
+        this.applyDarkMode();
+        this.updateSortControls();
+        this.updateFilterControls();
+        if (this.waveformView) this.updateSelectionInfo(this.waveformView.selection);
+    }
+
+    t(key, params) {
+        return this.translator.t(key, params);
+    }
+
+    formatSampleCount(count) {
+        return this.t('count.samples', { count });
+    }
+
+    // Static markup names its strings in data-i18n (text content), data-i18n-title,
+    // data-i18n-placeholder and data-i18n-aria-label; data-i18n-count feeds {count}
+    applyTranslations(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, { count: element.dataset.i18nCount });
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+        });
+    }
+
+    mapAudioPath(jsonPath) {
+        // Audio opened from disk wins over the bundled audio_fixed directory
+        const fileName = jsonPath.split('/').pop();
+        if (this.localAudioUrls.has(fileName)) {
+            return this.localAudioUrls.get(fileName);
+        }
+        
+        // Extract sample number from JSON path (e.g., sample_00000.wav -> 0)
+        const match = jsonPath.match(/sample_(\d+)\.wav$/);
+        if (match) {
+            const sampleNumber = parseInt(match[1]);
+            // Map to local audio file path in audio_fixed directory (e.g., sample_00000.wav)
+            return `audio_fixed/sample_${String(sampleNumber).padStart(5, '0')}.wav`;
+        }
+        return jsonPath; // Fallback to original path
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
+    // Render one side of an alignment; gaps mark where the other side has a word this one lacks
+    // Exports pass asWritten so harakat are never hidden or recolored outside the dashboard
+    renderDiff(operations, side, asWritten = false) {
+        const isReference = side === 'reference';
+        const renderWord = asWritten ? word => this.escapeHtml(word) : word => this.renderDisplayWord(word);
+        
+        return operations.map(op => {
+            const word = isReference ? op.ref : op.hyp;
+            const counterpart = isReference ? op.hyp : op.ref;
+            
+            switch (op.type) {
+                case 'equal':
+                    return renderWord(word);
+                case 'substitute':
+                    return `<span class="diff-word diff-sub" title="${this.escapeAttribute(this.t(isReference ? 'diff.predicted' : 'diff.expected', { word: counterpart }))}">${renderWord(word)}</span>`;
+                case 'delete':
+                    return isReference
+                        ? `<span class="diff-word diff-del" title="${this.escapeAttribute(this.t('diff.missingFromPrediction'))}">${renderWord(word)}</span>`
+                        : `<span class="diff-gap diff-gap-del" title="${this.escapeAttribute(this.t('diff.missing', { word: counterpart }))}"></span>`;
+                case 'insert':
+                    return isReference
+                        ? `<span class="diff-gap diff-gap-ins" title="${this.escapeAttribute(this.t('diff.inserted', { word: counterpart }))}"></span>`
+                        : `<span class="diff-word diff-ins" title="${this.escapeAttribute(this.t('diff.notInReference'))}">${renderWord(word)}</span>`;
+                default:
+                    return '';
+            }
+        }).join(' ');
+    }
+
+    // Diff tooltips quote the other text's word as written, so a difference in hidden harakat can still be read there
+    renderDisplayWord(word) {
+        if (!this.showHarakat) {
+            return this.escapeHtml(word.replace(this.harakatPattern, ''));
+        }
+        const html = this.escapeHtml(word);
+        return this.colorHarakat ? html.replace(this.harakatPattern, marks => `<span class="haraka">${marks}</span>`) : html;
+    }
+
+    // Every binding is listed in KEYBOARD_SHORTCUTS, which the "?" overlay is built from
+    handleKeydown(e) {
+        if (this.isShortcutsOpen()) {
+            if (e.key === 'Escape' || e.key === '?') {
+                e.preventDefault();
+                this.closeShortcuts();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e, document.querySelector('#shortcutsDialog .modal-content'));
+            }
+            return;
+        }
+        
+        if (e.key === 'Escape') {
+            this.closeModal();
+            return;
+        }
+        
+        if ((e.ctrlKey || e.metaKey) && !e.shiftKey) {
+            if (e.key === '=' || e.key === '+') {
+                e.preventDefault();
+                this.increaseFontSize();
+            } else if (e.key === '-') {
+                e.preventDefault();
+                this.decreaseFontSize();
+            }
+            return;
+        }
+        
+        const modalOpen = this.isModalOpen();
+        if (e.key === 'Tab' && modalOpen) {
+            this.trapFocus(e, document.querySelector('#modal .modal-content'));
+            return;
+        }
+        
+        if (e.altKey || e.ctrlKey || e.metaKey || this.isTypingTarget(e.target)) return;
+        
+        const verdict = REVIEW_VERDICTS[parseInt(e.key) - 1];
+        const focusedCard = e.target.closest ? e.target.closest('.audio-card') : null;
+        const onCard = Boolean(focusedCard) && e.target === focusedCard;
+        
+        if (e.key === '?') {
+            e.preventDefault();
+            this.openShortcuts();
+        } else if (e.key === 'r' || e.key === 'R') {
+            e.preventDefault();
+            this.replayLastSeconds();
+        } else if (modalOpen) {
+            // The next sample sits on the side the layout reads towards
+            const rtl = this.translator.dir === 'rtl';
+            if (e.key === (rtl ? 'ArrowRight' : 'ArrowLeft') || e.key === 'k') {
+                e.preventDefault();
+                this.navigateSample(-1);
+            } else if (e.key === (rtl ? 'ArrowLeft' : 'ArrowRight') || e.key === 'j') {
+                e.preventDefault();
+                this.navigateSample(1);
+            } else if (e.key === ' ' && !this.isInteractiveTarget(e.target)) {
+                e.preventDefault();
+                this.togglePlayback(document.getElementById('modalAudio'));
+            } else if (verdict) {
+                e.preventDefault();
+                this.toggleVerdict(this.data[this.currentSampleIndex], verdict.id);
+            }
+        } else if (this.activeSection === 'samples' && this.data && this.data.length) {
+            if (e.key === 'j' || e.key === 'k') {
+                e.preventDefault();
+                this.moveCardFocus(e.key === 'j' ? 1 : -1);
+            } else if ((e.key === 'Enter' || e.key === 'o') && onCard) {
+                e.preventDefault();
+                this.openModal(parseInt(focusedCard.dataset.index));
+            } else if (e.key === ' ' && onCard) {
+                e.preventDefault();
+                this.togglePlayback(focusedCard.querySelector('audio'));
+            } else if (verdict && focusedCard) {
+                e.preventDefault();
+                this.toggleVerdict(this.data[parseInt(focusedCard.dataset.index)], verdict.id);
+            } else if (e.key === 'n' || e.key === 'p') {
+                e.preventDefault();
+                if (e.key === 'n') this.nextPage();
+                else this.previousPage();
+            } else if (e.key === 'g' || e.key === 'G') {
+                e.preventDefault();
+                this.focusCard(e.key === 'g' ? 0 : this.data.length - 1);
+            } else if (e.key === '/') {
+                const searchInput = document.getElementById('searchInput');
+                if (searchInput) {
+                    e.preventDefault();
+                    searchInput.focus();
+                }
+            }
+        }
+    }
+
+    // Space and Enter already mean something on these, so card shortcuts leave them alone
+    isInteractiveTarget(target) {
+        return Boolean(target && target.closest && target.closest('button, a[href], audio, summary, input, select, textarea, label'));
+    }
+
+    // Starts from the card with focus, else the last one focused, else the first in view
+    moveCardFocus(direction) {
+        const active = document.activeElement && document.activeElement.closest
+            ? document.activeElement.closest('.audio-card')
+            : null;
+        let current = active ? parseInt(active.dataset.index) : this.focusedIndex;
+        if (current === null || current >= this.data.length) {
+            const first = this.virtualList ? this.virtualList.getFirstVisibleIndex() : this.currentPage * this.cardsPerPage;
+            this.focusCard(first);
+            return;
+        }
+        this.focusCard(current + direction);
+    }
+
+    // Turns the page (or scrolls the virtual list) when the card is not rendered yet
+    focusCard(index) {
+        if (!this.data || !this.data.length) return;
+        index = Math.max(0, Math.min(this.data.length - 1, index));
+        
+        const selector = `.audio-card[data-index="${index}"]`;
+        if (!document.querySelector(selector)) {
+            if (this.virtualList) {
+                this.virtualList.scrollToIndex(index);
+            } else {
+                this.goToPage(Math.floor(index / this.cardsPerPage));
+            }
+        }
+        
+        const card = document.querySelector(selector);
+        if (card) {
+            card.focus({ preventScroll: true });
+            card.scrollIntoView({ block: 'nearest' });
+            this.focusedIndex = index;
+        }
+    }
+
+    togglePlayback(audio) {
+        if (!audio) return;
+        if (audio.paused) {
+            if (audio.classList.contains('audio-player')) this.loadAudioSource(audio);
+            audio.play().catch(error => console.warn('Could not start playback:', error));
+        } else {
+            audio.pause();
+        }
+    }
+
+    // Keeps Tab and Shift+Tab cycling inside an open dialog
+    trapFocus(e, container) {
+        if (!container) return;
+        const focusable = Array.from(container.querySelectorAll(
+            'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), audio[controls], summary, [tabindex]:not([tabindex="-1"])'
+        )).filter(element => element.getClientRects().length);
+        
+        if (!focusable.length) {
+            e.preventDefault();
+            container.focus();
+            return;
+        }
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = container.contains(document.activeElement) && document.activeElement !== container;
+        if (e.shiftKey && (!inside || document.activeElement === first)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    openShortcuts() {
+        const dialog = document.getElementById('shortcutsDialog');
+        if (!dialog || !this.renderShortcuts()) return;
+        
+        this.shortcutsReturnFocus = document.activeElement;
+        dialog.style.display = 'flex';
+        const closeButton = document.getElementById('closeShortcuts');
+        if (closeButton) closeButton.focus();
+    }
+
+    renderShortcuts() {
+        const list = document.getElementById('shortcutsList');
+        if (!list) return false;
+        
+        const mirrored = this.translator.dir === 'rtl' ? { '→': '←', '←': '→' } : {};
+        const params = { verdicts: REVIEW_VERDICTS.map(verdict => this.t(`verdict.${verdict.id}`)).join(', ') };
+        const scopes = [...new Set(KEYBOARD_SHORTCUTS.map(shortcut => shortcut.scope))];
+        list.innerHTML = scopes.map(scope => `
+            <h3>${this.escapeHtml(this.t(`shortcuts.scope.${scope}`))}</h3>
+            <dl class="shortcut-list">
+                ${KEYBOARD_SHORTCUTS.filter(shortcut => shortcut.scope === scope).map(shortcut => `
+                    <div class="shortcut-row">
+                        <dt>${shortcut.keys.map(key => `<kbd>${this.escapeHtml(mirrored[key] || key)}</kbd>`).join(' ')}</dt>
+                        <dd>${this.escapeHtml(this.t(`shortcuts.${shortcut.description}`, params))}</dd>
+                    </div>
+                `).join('')}
+            </dl>
+        `).join('');
+        return true;
+    }
+
+    closeShortcuts() {
+        const dialog = document.getElementById('shortcutsDialog');
+        if (dialog) dialog.style.display = 'none';
+        if (this.shortcutsReturnFocus && this.shortcutsReturnFocus.isConnected) {
+            this.shortcutsReturnFocus.focus();
+        }
+        this.shortcutsReturnFocus = null;
+    }
+
+    isShortcutsOpen() {
+        const dialog = document.getElementById('shortcutsDialog');
+        return Boolean(dialog) && dialog.style.display === 'flex';
+    }
+
+    // Screen-reader announcement through the polite live region
+    announce(message) {
+        const region = document.getElementById('liveRegion');
+        if (!region) return;
+        // Clearing first makes an identical message be read again
+        region.textContent = '';
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            region.textContent = message;
+        }, 100);
+    }
+
+    // Keyboard shortcuts must not fire while the reviewer is typing
+    isTypingTarget(target) {
+        return Boolean(target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)));
+    }
+
+    isModalOpen() {
         const modal = document.getElementById('modal');
-        if (modal) {
-            modal.style.display = 'flex';
-            document.body.style.overflow = 'hidden';
+        return modal && modal.style.display === 'flex';
+    }
+
+    // Cleanup method
+    destroy() {
+        if (this.intersectionObserver) {
+            this.intersectionObserver.disconnect();
+        }
+        if (this.qualityObserver) {
+            this.qualityObserver.disconnect();
+        }
+        if (this.virtualList) {
+            this.virtualList.destroy();
+        }
+        this.localAudioUrls.forEach(url => URL.revokeObjectURL(url));
+        if (this.waveformView) {
+            this.waveformView.destroy();
+        }
+    }
+}
+
+// Audio Manager class to handle multiple audio instances - Safari optimized
+class AudioManager {
+    constructor() {
+        this.playingAudios = new Set();
+        this.currentAudio = null;
+        this.playbackRate = 1;
+        this.pool = []; // Detached card players waiting to be reused by continuous scroll
+    }
+
+    acquire(create) {
+        return this.pool.pop() || create();
+    }
+
+    // Stop the player and drop its source so a recycled element never plays the previous sample
+    release(audio) {
+        audio.pause();
+        this.playingAudios.delete(audio);
+        if (this.currentAudio === audio) this.currentAudio = null;
+        audio.querySelectorAll('source').forEach(source => source.remove());
+        audio.removeAttribute('src');
+        delete audio.dataset.loaded;
+        audio.load();
+        audio.remove();
+        this.pool.push(audio);
+    }
+
+    // defaultPlaybackRate survives load(), which resets playbackRate
+    applyPlaybackRate(audio) {
+        audio.defaultPlaybackRate = this.playbackRate;
+        audio.playbackRate = this.playbackRate;
+        if ('preservesPitch' in audio) {
+            audio.preservesPitch = true;
+        } else if ('webkitPreservesPitch' in audio) {
+            audio.webkitPreservesPitch = true;
+        }
+    }
+
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+        this.playingAudios.forEach(audio => this.applyPlaybackRate(audio));
+    }
+
+    stopAllExcept(currentAudio) {
+        this.playingAudios.forEach(audio => {
+            if (audio !== currentAudio && !audio.paused) {
+                audio.pause();
+                audio.currentTime = 0;
+                // Remove playing class from parent card
+                const card = audio.closest('.audio-card');
+                if (card) {
+                    card.classList.remove('playing');
+                }
+            }
+        });
+        this.playingAudios.clear();
+        if (currentAudio) {
+            this.playingAudios.add(currentAudio);
+            this.applyPlaybackRate(currentAudio);
+        }
+        this.currentAudio = currentAudio;
+    }
+
+    registerAudio(audio) {
+        audio.addEventListener('play', () => {
+            this.stopAllExcept(audio);
+        });
+        
+        audio.addEventListener('pause', () => {
+            this.playingAudios.delete(audio);
+        });
+        
+        audio.addEventListener('ended', () => {
+            this.playingAudios.delete(audio);
+        });
+    }
+}
+
+// Waveform and log-mel spectrogram of the modal's <audio>, with a playhead, click-to-seek and drag-to-select
+class WaveformView {
+    constructor(audio, elements) {
+        this.audio = audio;
+        this.wrap = elements.wrap;
+        this.waveformCanvas = elements.waveformCanvas;
+        this.spectrogramCanvas = elements.spectrogramCanvas;
+        this.overlayCanvas = elements.overlayCanvas;
+        this.statusElement = elements.statusElement;
+        this.onSelectionChange = elements.onSelectionChange || (() => {});
+        this.translate = elements.translate || (key => key); // Status messages are waveform.* catalog keys
+        
+        this.buffer = null;
+        this.spectrogram = null;
+        this.showSpectrogram = false;
+        this.selection = null; // { start, end } in seconds
+        this.dragStart = null;
+        this.loadToken = 0;
+        this.animationFrame = null;
+        this.loop = false; // Loop the selection, or the whole clip when nothing is selected
+        
+        this.attachListeners();
+    }
+
+    // One AudioContext is shared by every view; browsers cap how many can exist
+    static getAudioContext() {
+        if (!WaveformView.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            WaveformView.audioContext = AudioContextClass ? new AudioContextClass() : null;
+        }
+        return WaveformView.audioContext;
+    }
+
+    attachListeners() {
+        this.audio.addEventListener('play', () => {
+            if (this.loop && this.selection &&
+                (this.audio.currentTime < this.selection.start || this.audio.currentTime >= this.selection.end)) {
+                this.audio.currentTime = this.selection.start;
+            }
+            this.startPlayheadLoop();
+        });
+        this.audio.addEventListener('pause', () => this.stopPlayheadLoop());
+        this.audio.addEventListener('ended', () => {
+            this.stopPlayheadLoop();
+            if (this.loop) {
+                this.audio.currentTime = this.selection ? this.selection.start : 0;
+                this.audio.play().catch(error => console.warn('Could not restart loop:', error));
+            }
+        });
+        this.audio.addEventListener('seeked', () => this.drawOverlay());
+        
+        this.overlayCanvas.addEventListener('pointerdown', (e) => {
+            if (!this.buffer) return;
+            this.overlayCanvas.setPointerCapture(e.pointerId);
+            this.dragStart = { x: e.clientX, time: this.timeAtClientX(e.clientX) };
+        });
+        
+        this.overlayCanvas.addEventListener('pointermove', (e) => {
+            if (!this.dragStart) return;
+            // Ignore jitter so a click does not become a tiny selection
+            if (Math.abs(e.clientX - this.dragStart.x) < 4) return;
+            const time = this.timeAtClientX(e.clientX);
+            this.selection = {
+                start: Math.min(this.dragStart.time, time),
+                end: Math.max(this.dragStart.time, time)
+            };
+            this.drawOverlay();
+        });
+        
+        this.overlayCanvas.addEventListener('pointerup', (e) => {
+            if (!this.dragStart) return;
+            const isClick = Math.abs(e.clientX - this.dragStart.x) < 4;
+            this.dragStart = null;
+            
+            if (isClick) {
+                this.selection = null;
+                this.seek(this.timeAtClientX(e.clientX));
+            } else if (this.selection) {
+                this.seek(this.selection.start);
+            }
+            this.onSelectionChange(this.selection);
+            this.drawOverlay();
+        });
+    }
+
+    async load(url) {
+        const token = ++this.loadToken;
+        this.buffer = null;
+        this.spectrogram = null;
+        this.selection = null;
+        this.onSelectionChange(null);
+        this.clearCanvases();
+        this.setStatus(this.translate('waveform.decoding'));
+        
+        const context = WaveformView.getAudioContext();
+        if (!context) {
+            this.setStatus(this.translate('waveform.unsupported'));
+            return;
+        }
+        
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const arrayBuffer = await response.arrayBuffer();
+            // Callback form for older Safari, which has no promise-returning decodeAudioData
+            const buffer = await new Promise((resolve, reject) => context.decodeAudioData(arrayBuffer, resolve, reject));
+            
+            // A newer load started while this one was decoding
+            if (token !== this.loadToken) return;
+            
+            this.buffer = buffer;
+            this.setStatus('');
+            this.render();
+        } catch (error) {
+            if (token !== this.loadToken) return;
+            console.warn('Could not decode audio for waveform:', error);
+            this.setStatus(this.translate('waveform.failed'));
+        }
+    }
+
+    setStatus(message) {
+        if (this.statusElement) {
+            this.statusElement.textContent = message;
+            this.statusElement.style.display = message ? 'block' : 'none';
+        }
+    }
+
+    setSpectrogramVisible(visible) {
+        this.showSpectrogram = visible;
+        this.spectrogramCanvas.style.display = visible ? 'block' : 'none';
+        this.render();
+    }
+
+    getSelection() {
+        return this.selection;
+    }
+
+    setLoop(enabled) {
+        this.loop = enabled;
+    }
+
+    setSelection(selection) {
+        this.selection = selection;
+        this.onSelectionChange(selection);
+        this.drawOverlay();
+    }
+
+    seek(time) {
+        if (!isFinite(time)) return;
+        this.audio.currentTime = Math.max(0, Math.min(time, this.getDuration()));
+        this.drawOverlay();
+    }
+
+    getDuration() {
+        return this.buffer ? this.buffer.duration : (this.audio.duration || 0);
+    }
+
+    timeAtClientX(clientX) {
+        const rect = this.overlayCanvas.getBoundingClientRect();
+        const ratio = rect.width > 0 ? (clientX - rect.left) / rect.width : 0;
+        return Math.max(0, Math.min(1, ratio)) * this.getDuration();
+    }
+
+    // Match the backing store to the displayed size so lines stay sharp on high-DPI screens
+    sizeCanvas(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+        const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        return { width, height };
+    }
+
+    clearCanvases() {
+        [this.waveformCanvas, this.spectrogramCanvas, this.overlayCanvas].forEach(canvas => {
+            const context = canvas.getContext('2d');
+            if (context) context.clearRect(0, 0, canvas.width, canvas.height);
+        });
+    }
+
+    render() {
+        if (!this.buffer) return;
+        this.drawWaveform();
+        if (this.showSpectrogram) {
+            this.drawSpectrogram();
+        }
+        this.drawOverlay();
+    }
+
+    getThemeColor(name, fallback) {
+        const value = getComputedStyle(document.body).getPropertyValue(name).trim();
+        return value || fallback;
+    }
+
+    drawWaveform() {
+        const context = this.waveformCanvas.getContext('2d');
+        if (!context) return;
+        const { width, height } = this.sizeCanvas(this.waveformCanvas);
+        const samples = this.buffer.getChannelData(0);
+        const samplesPerPixel = Math.max(1, Math.floor(samples.length / width));
+        const middle = height / 2;
+        
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = this.getThemeColor('--accent-blue', '#3b82f6');
+        
+        // One min/max bar per pixel column
+        for (let x = 0; x < width; x++) {
+            const start = x * samplesPerPixel;
+            let min = 1;
+            let max = -1;
+            for (let i = start; i < start + samplesPerPixel && i < samples.length; i++) {
+                if (samples[i] < min) min = samples[i];
+                if (samples[i] > max) max = samples[i];
+            }
+            if (min > max) break;
+            const top = middle - max * middle;
+            const barHeight = Math.max(1, (max - min) * middle);
+            context.fillRect(x, top, 1, barHeight);
+        }
+    }
+
+    drawSpectrogram() {
+        const context = this.spectrogramCanvas.getContext('2d');
+        if (!context) return;
+        const { width, height } = this.sizeCanvas(this.spectrogramCanvas);
+        
+        if (!this.spectrogram) {
+            this.spectrogram = WaveformView.computeLogMelSpectrogram(this.buffer.getChannelData(0), this.buffer.sampleRate);
+        }
+        const { frames, melBands } = this.spectrogram;
+        if (!frames.length) return;
+        
+        // Paint one pixel per frame/band, then let drawImage scale it to the canvas
+        const image = document.createElement('canvas');
+        image.width = frames.length;
+        image.height = melBands;
+        const imageContext = image.getContext('2d');
+        const imageData = imageContext.createImageData(frames.length, melBands);
+        
+        frames.forEach((frame, x) => {
+            for (let band = 0; band < melBands; band++) {
+                const [r, g, b] = WaveformView.colormap(frame[band]);
+                // Low frequencies at the bottom
+                const offset = ((melBands - 1 - band) * frames.length + x) * 4;
+                imageData.data[offset] = r;
+                imageData.data[offset + 1] = g;
+                imageData.data[offset + 2] = b;
+                imageData.data[offset + 3] = 255;
+            }
+        });
+        
+        imageContext.putImageData(imageData, 0, 0);
+        context.clearRect(0, 0, width, height);
+        context.imageSmoothingEnabled = true;
+        context.drawImage(image, 0, 0, width, height);
+    }
+
+    drawOverlay() {
+        const context = this.overlayCanvas.getContext('2d');
+        if (!context) return;
+        const { width, height } = this.sizeCanvas(this.overlayCanvas);
+        const duration = this.getDuration();
+        context.clearRect(0, 0, width, height);
+        if (!duration) return;
+        
+        if (this.selection) {
+            const startX = (this.selection.start / duration) * width;
+            const endX = (this.selection.end / duration) * width;
+            context.fillStyle = 'rgba(245, 158, 11, 0.25)';
+            context.fillRect(startX, 0, endX - startX, height);
+            context.fillStyle = this.getThemeColor('--accent-orange', '#f59e0b');
+            context.fillRect(startX, 0, 1, height);
+            context.fillRect(endX - 1, 0, 1, height);
+        }
+        
+        const playheadX = (this.audio.currentTime / duration) * width;
+        context.fillStyle = this.getThemeColor('--accent-red', '#ef4444');
+        context.fillRect(Math.round(playheadX), 0, Math.max(1, Math.round(window.devicePixelRatio || 1)), height);
+    }
+
+    startPlayheadLoop() {
+        this.stopPlayheadLoop();
+        const step = () => {
+            // timeupdate fires too rarely for a tight loop, so check the region end every frame
+            if (this.loop && this.selection && this.audio.currentTime >= this.selection.end) {
+                this.audio.currentTime = this.selection.start;
+            }
+            this.drawOverlay();
+            this.animationFrame = requestAnimationFrame(step);
+        };
+        this.animationFrame = requestAnimationFrame(step);
+    }
+
+    stopPlayheadLoop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        this.drawOverlay();
+    }
+
+    // Log-mel power spectrogram: 25 ms Hann windows, 10 ms hop, 64 mel bands, values scaled to 0..1 over 80 dB
+    static computeLogMelSpectrogram(samples, sampleRate, melBands = 64) {
+        const windowLength = Math.round(sampleRate * 0.025);
+        const hop = Math.round(sampleRate * 0.01);
+        let fftSize = 1;
+        while (fftSize < windowLength) fftSize *= 2;
+        
+        const hann = new Float32Array(windowLength);
+        for (let i = 0; i < windowLength; i++) {
+            hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (windowLength - 1));
+        }
+        
+        const filters = WaveformView.createMelFilterbank(fftSize, sampleRate, melBands);
+        const real = new Float32Array(fftSize);
+        const imag = new Float32Array(fftSize);
+        const frames = [];
+        let maxDb = -Infinity;
+        
+        for (let start = 0; start + windowLength <= samples.length; start += hop) {
+            real.fill(0);
+            imag.fill(0);
+            for (let i = 0; i < windowLength; i++) {
+                real[i] = samples[start + i] * hann[i];
+            }
+            WaveformView.fft(real, imag);
+            
+            const frame = new Float32Array(melBands);
+            for (let band = 0; band < melBands; band++) {
+                const { startBin, weights } = filters[band];
+                let energy = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    const bin = startBin + k;
+                    energy += weights[k] * (real[bin] * real[bin] + imag[bin] * imag[bin]);
+                }
+                const db = 10 * Math.log10(Math.max(energy, 1e-10));
+                frame[band] = db;
+                if (db > maxDb) maxDb = db;
+            }
+            frames.push(frame);
+        }
+        
+        const floorDb = maxDb - 80;
+        frames.forEach(frame => {
+            for (let band = 0; band < melBands; band++) {
+                frame[band] = Math.max(0, (frame[band] - floorDb) / 80);
+            }
+        });
+        
+        return { frames, melBands };
+    }
+
+    // Triangular filters evenly spaced on the mel scale, stored sparsely as a start bin plus weights
+    static createMelFilterbank(fftSize, sampleRate, melBands) {
+        const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+        const toHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+        const maxMel = toMel(sampleRate / 2);
+        const binCount = fftSize / 2 + 1;
+        const points = [];
+        
+        for (let i = 0; i < melBands + 2; i++) {
+            const hz = toHz((maxMel * i) / (melBands + 1));
+            points.push(Math.min(binCount - 1, Math.floor(((fftSize + 1) * hz) / sampleRate)));
+        }
+        
+        const filters = [];
+        for (let band = 0; band < melBands; band++) {
+            const left = points[band];
+            const center = Math.max(points[band + 1], left + 1);
+            const right = Math.max(points[band + 2], center + 1);
+            const weights = [];
+            for (let bin = left; bin <= Math.min(right, binCount - 1); bin++) {
+                weights.push(bin <= center ? (bin - left) / (center - left) : (right - bin) / (right - center));
+            }
+            filters.push({ startBin: left, weights });
+        }
+        return filters;
+    }
+
+    // In-place iterative radix-2 FFT; length must be a power of two
+    static fft(real, imag) {
+        const n = real.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+        
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = (-2 * Math.PI) / size;
+            const stepReal = Math.cos(angle);
+            const stepImag = Math.sin(angle);
+            for (let start = 0; start < n; start += size) {
+                let wReal = 1;
+                let wImag = 0;
+                for (let k = 0; k < size / 2; k++) {
+                    const even = start + k;
+                    const odd = even + size / 2;
+                    const tReal = wReal * real[odd] - wImag * imag[odd];
+                    const tImag = wReal * imag[odd] + wImag * real[odd];
+                    real[odd] = real[even] - tReal;
+                    imag[odd] = imag[even] - tImag;
+                    real[even] += tReal;
+                    imag[even] += tImag;
+                    const nextReal = wReal * stepReal - wImag * stepImag;
+                    wImag = wReal * stepImag + wImag * stepReal;
+                    wReal = nextReal;
+                }
+            }
+        }
+    }
+
+    // Dark blue → purple → orange → pale yellow, roughly like "magma"
+    static colormap(value) {
+        const stops = [
+            [0, [0, 0, 4]],
+            [0.25, [59, 15, 112]],
+            [0.5, [140, 41, 129]],
+            [0.75, [222, 73, 104]],
+            [0.9, [254, 159, 109]],
+            [1, [252, 253, 191]]
+        ];
+        const v = Math.max(0, Math.min(1, value));
+        for (let i = 1; i < stops.length; i++) {
+            if (v <= stops[i][0]) {
+                const [p0, c0] = stops[i - 1];
+                const [p1, c1] = stops[i];
+                const t = (v - p0) / (p1 - p0);
+                return c0.map((channel, index) => Math.round(channel + (c1[index] - channel) * t));
+            }
+        }
+        return stops[stops.length - 1][1];
+    }
+
+    destroy() {
+        this.stopPlayheadLoop();
+        this.loadToken++;
+    }
+}
+
+// Resampling settings for stats-worker.js; the fixed seed keeps the numbers steady between re-renders
+const BOOTSTRAP_OPTIONS = { iterations: 1000, confidence: 0.95, seed: 1 };
+
+// Arabic font choices for card and dialog texts; style.css maps each id to a font stack
+const TEXT_FONTS = ['system', 'amiriQuran', 'scheherazade', 'notoNaskh'];
+
+// Thresholds behind the audio quality badges. The model is trained on 16 kHz mono speech.
+const AUDIO_QUALITY_LIMITS = {
+    expectedSampleRate: 16000,
+    clipLevel: 0.999,         // |sample| at or above this counts as clipped
+    clippingRatio: 0.001,     // flag when more than 0.1% of samples are clipped
+    silenceDb: -45,           // 10 ms windows quieter than this are silence
+    longSilenceSeconds: 1,
+    quietRmsDb: -35,
+    minDuration: 0.5
+};
+
+// Issue keys in table order; their names are quality.issue.<key> in i18n.js
+const AUDIO_QUALITY_ISSUES = ['clipping', 'leadingSilence', 'trailingSilence', 'sampleRate', 'multichannel', 'quiet', 'short'];
+
+// Measures the scatter plot can put on its x axis; axis labels are quality.axis.<key>
+const AUDIO_QUALITY_MEASURES = [
+    { key: 'rmsDb', format: value => `${value.toFixed(0)} dB` },
+    { key: 'peakDb', format: value => `${value.toFixed(1)} dB` },
+    { key: 'clippingRatio', format: value => `${(value * 100).toFixed(2)}%` },
+    { key: 'duration', format: value => `${value.toFixed(1)} s` },
+    { key: 'leadingSilence', format: value => `${value.toFixed(2)} s` },
+    { key: 'trailingSilence', format: value => `${value.toFixed(2)} s` },
+    { key: 'sampleRate', format: value => `${Math.round(value)}` }
+];
+
+// Reads WAV files and measures level, clipping and silence. PCM is read straight from the file
+// so the real sample rate and full-scale samples are seen; Web Audio decoding would resample.
+// Results are cached by URL and at most a couple of files are fetched at once.
+class AudioQualityAnalyzer {
+    constructor(concurrency = 2) {
+        this.concurrency = concurrency;
+        this.results = new Map(); // url -> measures, or { error }
+        this.pending = new Map(); // url -> { url, promise, resolve, requests, started }
+        this.queue = [];
+        this.active = 0;
+    }
+
+    get(url) {
+        return this.results.get(url);
+    }
+
+    // A request made with a signal can be withdrawn. A file still waiting in the queue is dropped once
+    // every request for it has been, and its promise resolves to null; a file being read is finished.
+    analyze(url, signal = null) {
+        if (this.results.has(url)) return Promise.resolve(this.results.get(url));
+        
+        let job = this.pending.get(url);
+        if (!job) {
+            job = { url, requests: 0, started: false };
+            job.promise = new Promise(resolve => {
+                job.resolve = resolve;
+            });
+            this.pending.set(url, job);
+            this.queue.push(job);
+        }
+        job.requests++;
+        if (signal) {
+            signal.addEventListener('abort', () => this.withdraw(job), { once: true });
         }
+        
+        this.runQueue();
+        return job.promise;
     }
 
-    closeModal() {
-        const modal = document.getElementById('modal');
-        if (modal) {
-            modal.style.display = 'none';
-            document.body.style.overflow = 'auto';
-        }
+    withdraw(job) {
+        job.requests--;
+        if (job.started || job.requests > 0) return;
         
-        // Stop modal audio
-        const modalAudio = document.getElementById('modalAudio');
-        if (modalAudio) {
-            modalAudio.pause();
-            modalAudio.currentTime = 0;
-        }
+        this.queue.splice(this.queue.indexOf(job), 1);
+        this.pending.delete(job.url);
+        job.resolve(null);
     }
 
-    navigateSample(direction) {
-        const newIndex = this.currentSampleIndex + direction;
-        if (newIndex >= 0 && newIndex < this.data.length) {
-            this.openModal(newIndex);
+    runQueue() {
+        while (this.active < this.concurrency && this.queue.length) {
+            const job = this.queue.shift();
+            job.started = true;
+            this.active++;
+            this.measureUrl(job.url)
+                .catch(error => ({ error: error.message || String(error) }))
+                .then(result => {
+                    this.results.set(job.url, result);
+                    this.pending.delete(job.url);
+                    this.active--;
+                    job.resolve(result);
+                    this.runQueue();
+                });
         }
     }
 
-
-    updateStats() {
-        const totalSamples = this.data ? this.data.length : 0;
-        
-        const totalSamplesElement = document.getElementById('totalSamples');
-        if (totalSamplesElement) {
-            totalSamplesElement.textContent = totalSamples;
+    async measureUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
         }
+        const arrayBuffer = await response.arrayBuffer();
+        const header = this.parseWavHeader(arrayBuffer);
+        let channels = header ? this.readPcm(arrayBuffer, header) : null;
+        let decodedRate = header ? header.sampleRate : null;
         
-        // Set WER to 2.21% as requested
-        const currentWERElement = document.getElementById('currentWER');
-        if (currentWERElement) {
-            currentWERElement.textContent = '1.9%';
+        // Compressed or unusual encodings: let the browser decode, but report the header's rate if there is one
+        if (!channels) {
+            const context = WaveformView.getAudioContext();
+            if (!context) throw new Error('Not a PCM WAV file and the Web Audio API is unavailable');
+            const buffer = await new Promise((resolve, reject) => context.decodeAudioData(arrayBuffer, resolve, reject));
+            channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+            decodedRate = buffer.sampleRate;
         }
+        
+        return {
+            sampleRate: header ? header.sampleRate : decodedRate,
+            channels: header ? header.channels : channels.length,
+            bitsPerSample: header ? header.bitsPerSample : null,
+            ...this.measure(channels, decodedRate)
+        };
     }
 
-    loadPreferences() {
-        // Load font size
-        try {
-            const savedFontSize = localStorage.getItem('preferredFontSize');
-            if (savedFontSize) {
-                const size = parseInt(savedFontSize);
-                if (size >= this.minFontSize && size <= this.maxFontSize) {
-                    this.currentFontSize = size;
-                    this.updateFontSize();
+    parseWavHeader(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const tag = offset => String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+        if (arrayBuffer.byteLength < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') return null;
+        
+        let format = null;
+        let data = null;
+        let offset = 12;
+        while (offset + 8 <= arrayBuffer.byteLength) {
+            const id = tag(offset);
+            const size = view.getUint32(offset + 4, true);
+            const body = offset + 8;
+            if (id === 'fmt ' && size >= 16) {
+                format = {
+                    audioFormat: view.getUint16(body, true),
+                    channels: view.getUint16(body + 2, true),
+                    sampleRate: view.getUint32(body + 4, true),
+                    bitsPerSample: view.getUint16(body + 14, true)
+                };
+                // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+                if (format.audioFormat === 0xFFFE && size >= 26) {
+                    format.audioFormat = view.getUint16(body + 24, true);
                 }
+            } else if (id === 'data') {
+                data = { offset: body, length: Math.min(size, arrayBuffer.byteLength - body) };
             }
-        } catch (e) {
-            console.warn('Could not load font size preference:', e);
+            offset = body + size + (size % 2);
         }
         
-        // Load view preference
-        try {
-            const savedView = localStorage.getItem('preferredView');
-            if (savedView && (savedView === 'grid' || savedView === 'list')) {
-                this.setView(savedView);
-            } else {
-                // Default to list view
-                this.setView('list');
-            }
-        } catch (e) {
-            console.warn('Could not load view preference:', e);
-            this.setView('list');
-        }
+        return format && data ? { ...format, dataOffset: data.offset, dataLength: data.length } : null;
+    }
+
+    // Integer PCM (8/16/24/32-bit) and 32/64-bit float, as one Float32Array per channel in [-1, 1]
+    readPcm(arrayBuffer, header) {
+        const { audioFormat, channels, bitsPerSample, dataOffset, dataLength } = header;
+        const bytes = bitsPerSample / 8;
+        const isInt = audioFormat === 1 && [8, 16, 24, 32].includes(bitsPerSample);
+        const isFloat = audioFormat === 3 && (bitsPerSample === 32 || bitsPerSample === 64);
+        if ((!isInt && !isFloat) || !channels) return null;
         
-        // Load dark mode preference
-        try {
-            const savedDarkMode = localStorage.getItem('preferredDarkMode');
-            if (savedDarkMode === 'true') {
-                this.isDarkMode = true;
-                this.applyDarkMode();
-            } else {
-                // Check system preference
-                if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-                    this.isDarkMode = true;
-                    this.applyDarkMode();
-                }
+        const view = new DataView(arrayBuffer, dataOffset, dataLength);
+        const frames = Math.floor(dataLength / (bytes * channels));
+        const output = Array.from({ length: channels }, () => new Float32Array(frames));
+        const read = {
+            8: offset => (view.getUint8(offset) - 128) / 128,
+            16: offset => view.getInt16(offset, true) / 32768,
+            24: offset => ((view.getUint8(offset + 2) << 24 | view.getUint8(offset + 1) << 16 | view.getUint8(offset) << 8) >> 8) / 8388608,
+            32: isFloat ? offset => view.getFloat32(offset, true) : offset => view.getInt32(offset, true) / 2147483648,
+            64: offset => view.getFloat64(offset, true)
+        }[bitsPerSample];
+        
+        for (let frame = 0; frame < frames; frame++) {
+            for (let channel = 0; channel < channels; channel++) {
+                output[channel][frame] = read((frame * channels + channel) * bytes);
             }
-        } catch (e) {
-            console.warn('Could not load dark mode preference:', e);
         }
+        return output;
     }
 
-    increaseFontSize() {
-        if (this.currentFontSize < this.maxFontSize) {
-            this.currentFontSize += 2;
-            this.updateFontSize();
-        }
+    measure(channels, sampleRate) {
+        const frames = channels[0] ? channels[0].length : 0;
+        const limits = AUDIO_QUALITY_LIMITS;
+        let sumSquares = 0;
+        let peak = 0;
+        let clipped = 0;
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) {
+                const value = Math.abs(data[i]);
+                sumSquares += value * value;
+                if (value > peak) peak = value;
+                if (value >= limits.clipLevel) clipped++;
+            }
+        });
+        const total = frames * channels.length;
+        const duration = sampleRate ? frames / sampleRate : 0;
+        
+        // Silence at either end, in 10 ms windows of the channel average
+        const windowSize = Math.max(1, Math.round(sampleRate * 0.01));
+        const windowCount = Math.ceil(frames / windowSize);
+        const threshold = Math.pow(10, limits.silenceDb / 20);
+        const isLoud = windowIndex => {
+            const start = windowIndex * windowSize;
+            const end = Math.min(start + windowSize, frames);
+            let windowSquares = 0;
+            for (let i = start; i < end; i++) {
+                let mixed = 0;
+                channels.forEach(data => { mixed += data[i]; });
+                mixed /= channels.length;
+                windowSquares += mixed * mixed;
+            }
+            return Math.sqrt(windowSquares / (end - start)) > threshold;
+        };
+        let firstLoud = 0;
+        while (firstLoud < windowCount && !isLoud(firstLoud)) firstLoud++;
+        let lastLoud = windowCount - 1;
+        while (lastLoud > firstLoud && !isLoud(lastLoud)) lastLoud--;
+        const silent = firstLoud === windowCount;
+        
+        const toDb = value => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+        return {
+            duration,
+            rmsDb: toDb(total ? Math.sqrt(sumSquares / total) : 0),
+            peakDb: toDb(peak),
+            clippedSamples: clipped,
+            clippingRatio: total ? clipped / total : 0,
+            leadingSilence: silent ? duration : firstLoud * windowSize / sampleRate,
+            trailingSilence: silent ? duration : Math.max(0, duration - (lastLoud + 1) * windowSize / sampleRate)
+        };
     }
 
-    decreaseFontSize() {
-        if (this.currentFontSize > this.minFontSize) {
-            this.currentFontSize -= 2;
-            this.updateFontSize();
+    // Each issue carries the parameters of its badge (quality.badge.<key>) and tooltip (quality.badgeTitle.<key>)
+    getIssues(quality) {
+        const limits = AUDIO_QUALITY_LIMITS;
+        const issues = [];
+        if (quality.clippingRatio > limits.clippingRatio) {
+            issues.push({ key: 'clipping', params: { percent: `${(quality.clippingRatio * 100).toFixed(2)}%` }, titleParams: { count: quality.clippedSamples } });
         }
-    }
-
-    updateFontSize() {
-        const fontSizeDisplay = document.getElementById('fontSize');
-        if (fontSizeDisplay) {
-            fontSizeDisplay.textContent = `${this.currentFontSize}px`;
+        if (quality.leadingSilence >= limits.longSilenceSeconds) {
+            issues.push({ key: 'leadingSilence', params: { seconds: quality.leadingSilence.toFixed(1) }, titleParams: { db: limits.silenceDb } });
         }
-        
-        const textContents = document.querySelectorAll('.text-content, .modal-text-content');
-        textContents.forEach(element => {
-            element.style.fontSize = `${this.currentFontSize}px`;
-        });
-
-        try {
-            localStorage.setItem('preferredFontSize', this.currentFontSize.toString());
-        } catch (e) {
-            console.warn('Could not save font size preference:', e);
+        if (quality.trailingSilence >= limits.longSilenceSeconds) {
+            issues.push({ key: 'trailingSilence', params: { seconds: quality.trailingSilence.toFixed(1) }, titleParams: { db: limits.silenceDb } });
+        }
+        if (quality.sampleRate !== limits.expectedSampleRate) {
+            issues.push({ key: 'sampleRate', params: { rate: quality.sampleRate }, titleParams: { rate: limits.expectedSampleRate } });
         }
+        if (quality.channels > 1) {
+            issues.push({ key: 'multichannel', params: { count: quality.channels }, titleParams: {} });
+        }
+        if (quality.rmsDb < limits.quietRmsDb) {
+            issues.push({ key: 'quiet', params: {}, titleParams: { db: limits.quietRmsDb } });
+        }
+        if (quality.duration < limits.minDuration) {
+            issues.push({ key: 'short', params: {}, titleParams: { seconds: limits.minDuration } });
+        }
+        return issues;
     }
+}
 
-    setView(view) {
-        this.currentView = view;
-        const container = document.getElementById('cardsContainer');
-        const gridBtn = document.getElementById('gridView');
-        const listBtn = document.getElementById('listView');
+// Keeps only the cards near the viewport in the DOM, with spacers standing in for the rest.
+// Cards vary in height, so rows start from an estimate and are measured once rendered.
+class VirtualList {
+    constructor(container, options) {
+        this.container = container;
+        this.renderItem = options.renderItem; // (index) -> card element
+        this.releaseItem = options.releaseItem; // (element) -> void, called before a card is dropped
+        this.overscan = options.overscan || 800; // Pixels rendered above and below the viewport
+        this.count = 0;
+        this.columns = 1;
+        this.rowHeights = new Map();
+        this.estimatedRowHeight = 360;
+        this.offsets = null;
+        this.rendered = new Map(); // item index -> element
+        this.frame = null;
         
-        if (container) {
-            container.className = `cards-container ${view}-view`;
-        }
+        this.topSpacer = document.createElement('div');
+        this.bottomSpacer = document.createElement('div');
+        this.topSpacer.className = 'virtual-spacer';
+        this.bottomSpacer.className = 'virtual-spacer';
         
-        if (gridBtn && listBtn) {
-            gridBtn.classList.toggle('active', view === 'grid');
-            listBtn.classList.toggle('active', view === 'list');
-        }
+        this.container.classList.add('virtual-scroll');
+        this.container.append(this.topSpacer, this.bottomSpacer);
         
-        try {
-            localStorage.setItem('preferredView', view);
-        } catch (e) {
-            console.warn('Could not save view preference:', e);
-        }
+        this.handleScroll = () => this.scheduleUpdate();
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+        window.addEventListener('resize', this.handleScroll);
     }
 
-    toggleDarkMode() {
-        this.isDarkMode = !this.isDarkMode;
-        this.applyDarkMode();
-        
-        try {
-            localStorage.setItem('preferredDarkMode', this.isDarkMode.toString());
-        } catch (e) {
-            console.warn('Could not save dark mode preference:', e);
-        }
+    setCount(count) {
+        this.releaseAll();
+        this.count = count;
+        this.rowHeights.clear();
+        this.offsets = null;
+        this.update();
     }
 
-    applyDarkMode() {
-        const body = document.body;
-        const darkModeToggle = document.getElementById('darkModeToggle');
-        
-        if (this.isDarkMode) {
-            body.setAttribute('data-theme', 'dark');
-            if (darkModeToggle) {
-                darkModeToggle.innerHTML = '<span class="btn-icon">☀️</span><span class="btn-text">Light</span>';
-                darkModeToggle.title = 'Switch to light mode';
+    // More items at the end (e.g. while streaming): keep what is rendered and measured
+    resize(count) {
+        this.count = count;
+        this.offsets = null;
+        this.update();
+    }
+
+    // Font size and layout changes make every measurement stale
+    invalidateHeights() {
+        this.rowHeights.clear();
+        this.offsets = null;
+        this.scheduleUpdate();
+    }
+
+    // Re-create the visible cards, e.g. after their content changed
+    refresh() {
+        this.releaseAll();
+        this.update();
+    }
+
+    releaseAll() {
+        this.rendered.forEach(element => {
+            this.releaseItem(element);
+            element.remove();
+        });
+        this.rendered.clear();
+    }
+
+    // Grid view fits as many columns as the container allows; list view always has one
+    getColumns() {
+        const tracks = getComputedStyle(this.container).gridTemplateColumns.split(' ').filter(track => /px$/.test(track));
+        return Math.max(1, tracks.length);
+    }
+
+    getRowCount() {
+        return Math.ceil(this.count / this.columns);
+    }
+
+    getOffsets() {
+        if (!this.offsets) {
+            const rows = this.getRowCount();
+            const measured = Array.from(this.rowHeights.values());
+            if (measured.length) {
+                this.estimatedRowHeight = measured.reduce((sum, height) => sum + height, 0) / measured.length;
             }
-        } else {
-            body.removeAttribute('data-theme');
-            if (darkModeToggle) {
-                darkModeToggle.innerHTML = '<span class="btn-icon">🌙</span><span class="btn-text">Dark</span>';
-                darkModeToggle.title = 'Switch to dark mode';
+            this.offsets = new Float64Array(rows + 1);
+            for (let row = 0; row < rows; row++) {
+                const height = this.rowHeights.has(row) ? this.rowHeights.get(row) : this.estimatedRowHeight;
+                this.offsets[row + 1] = this.offsets[row] + height;
             }
         }
+        return this.offsets;
     }
 
-    extractSampleNumber(path) {
-        const match = path.match(/sample_(\d+)\.wav$/);
-        if (match) {
-            return parseInt(match[1]);
+    // Row containing the given distance from the top of the list
+    findRow(position) {
+        const offsets = this.getOffsets();
+        let low = 0;
+        let high = offsets.length - 2;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (offsets[mid] <= position) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
         }
-        return 0;
+        return Math.max(0, low);
     }
 
-    mapAudioPath(jsonPath) {
-        // Extract sample number from JSON path (e.g., sample_00000.wav -> 0)
-        const match = jsonPath.match(/sample_(\d+)\.wav$/);
-        if (match) {
-            const sampleNumber = parseInt(match[1]);
-            // Map to local audio file path in audio_fixed directory (e.g., sample_00000.wav)
-            return `audio_fixed/sample_${String(sampleNumber).padStart(5, '0')}.wav`;
-        }
-        return jsonPath; // Fallback to original path
+    getListTop() {
+        return this.container.getBoundingClientRect().top + window.scrollY;
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    getFirstVisibleIndex() {
+        if (!this.count) return 0;
+        return Math.min(this.count - 1, this.findRow(Math.max(0, window.scrollY - this.getListTop())) * this.columns);
+    }
+
+    scrollToIndex(index) {
+        const row = Math.floor(index / this.columns);
+        const offsets = this.getOffsets();
+        window.scrollTo({ top: this.getListTop() + (offsets[row] || 0) });
+        this.update();
     }
 
-    levenshteinDistance(str1, str2) {
-        const matrix = [];
+    scheduleUpdate() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    update() {
+        // Hidden (e.g. while the insights view is up): nothing to measure against
+        if (!this.container.getClientRects().length) return;
         
-        // Initialize matrix
-        for (let i = 0; i <= str2.length; i++) {
-            matrix[i] = [i];
+        const columns = this.getColumns();
+        if (columns !== this.columns) {
+            this.columns = columns;
+            this.rowHeights.clear();
+            this.offsets = null;
         }
         
-        for (let j = 0; j <= str1.length; j++) {
-            matrix[0][j] = j;
-        }
+        const rows = this.getRowCount();
+        const offsets = this.getOffsets();
+        const viewportTop = -this.container.getBoundingClientRect().top;
+        const firstRow = rows ? this.findRow(Math.max(0, viewportTop - this.overscan)) : 0;
+        const lastRow = rows ? this.findRow(Math.max(0, viewportTop + window.innerHeight + this.overscan)) : -1;
+        const startIndex = firstRow * this.columns;
+        const endIndex = Math.min(this.count, (lastRow + 1) * this.columns);
         
-        // Fill matrix
-        for (let i = 1; i <= str2.length; i++) {
-            for (let j = 1; j <= str1.length; j++) {
-                if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                    matrix[i][j] = matrix[i - 1][j - 1];
-                } else {
-                    matrix[i][j] = Math.min(
-                        matrix[i - 1][j - 1] + 1, // substitution
-                        matrix[i][j - 1] + 1,     // insertion
-                        matrix[i - 1][j] + 1      // deletion
-                    );
-                }
+        this.rendered.forEach((element, index) => {
+            if (index < startIndex || index >= endIndex) {
+                this.releaseItem(element);
+                element.remove();
+                this.rendered.delete(index);
             }
+        });
+        
+        // Only new cards are inserted; moving a kept card would pause its audio
+        const kept = Array.from(this.rendered.keys()).sort((a, b) => a - b);
+        const firstKept = kept.length ? this.rendered.get(kept[0]) : this.bottomSpacer;
+        for (let index = startIndex; index < endIndex; index++) {
+            if (this.rendered.has(index)) continue;
+            const element = this.renderItem(index);
+            this.rendered.set(index, element);
+            this.container.insertBefore(element, kept.length && index < kept[0] ? firstKept : this.bottomSpacer);
         }
         
-        return matrix[str2.length][str1.length];
+        this.topSpacer.style.height = `${offsets[firstRow] || 0}px`;
+        this.bottomSpacer.style.height = `${Math.max(0, offsets[rows] - (offsets[lastRow + 1] || 0))}px`;
+        
+        this.measure(firstRow, lastRow);
     }
 
-    isModalOpen() {
-        const modal = document.getElementById('modal');
-        return modal && modal.style.display === 'flex';
+    // Record real row heights; if any estimate was off, lay out again on the next frame
+    measure(firstRow, lastRow) {
+        let changed = false;
+        
+        for (let row = firstRow; row <= lastRow; row++) {
+            let top = Infinity;
+            let bottom = -Infinity;
+            for (let index = row * this.columns; index < (row + 1) * this.columns; index++) {
+                const element = this.rendered.get(index);
+                if (!element) continue;
+                const rect = element.getBoundingClientRect();
+                const marginBottom = parseFloat(getComputedStyle(element).marginBottom) || 0;
+                top = Math.min(top, rect.top);
+                bottom = Math.max(bottom, rect.bottom + marginBottom);
+            }
+            const height = bottom - top;
+            if (height > 0 && Math.abs((this.rowHeights.get(row) || 0) - height) > 1) {
+                this.rowHeights.set(row, height);
+                changed = true;
+            }
+        }
+        
+        if (changed) {
+            this.offsets = null;
+            this.scheduleUpdate();
+        }
     }
 
-    // Cleanup method
     destroy() {
-        if (this.intersectionObserver) {
-            this.intersectionObserver.disconnect();
-        }
+        if (this.frame) cancelAnimationFrame(this.frame);
+        window.removeEventListener('scroll', this.handleScroll);
+        window.removeEventListener('resize', this.handleScroll);
+        this.releaseAll();
+        this.topSpacer.remove();
+        this.bottomSpacer.remove();
+        this.container.classList.remove('virtual-scroll');
     }
 }
 
-// Audio Manager class to handle multiple audio instances - Safari optimized
-class AudioManager {
-    constructor() {
-        this.playingAudios = new Set();
+// Reviewer verdicts, in the order their buttons are shown
+// Labels are verdict.<id> in i18n.js
+const REVIEW_VERDICTS = [
+    { id: 'correct', icon: '✓' },
+    { id: 'stylistic', icon: '≈' },
+    { id: 'error', icon: '✗' },
+    { id: 'bad-reference', icon: '⚠' }
+];
+
+// Bindings shown in the "?" overlay, grouped by where they apply; handleKeydown implements them.
+// Scopes and descriptions are i18n.js keys (shortcuts.scope.<scope>, shortcuts.<description>).
+// The arrow keys are written for a left-to-right layout and swap places in a right-to-left one.
+const KEYBOARD_SHORTCUTS = [
+    { scope: 'list', keys: ['j', 'k'], description: 'nextPreviousCard' },
+    { scope: 'list', keys: ['Enter'], description: 'openCard' },
+    { scope: 'list', keys: ['Space'], description: 'playCard' },
+    { scope: 'list', keys: ['n', 'p'], description: 'nextPreviousPage' },
+    { scope: 'list', keys: ['g', 'G'], description: 'firstLast' },
+    { scope: 'list', keys: ['/'], description: 'search' },
+    { scope: 'detail', keys: ['→', 'j'], description: 'nextSample' },
+    { scope: 'detail', keys: ['←', 'k'], description: 'previousSample' },
+    { scope: 'detail', keys: ['Space'], description: 'play' },
+    { scope: 'detail', keys: ['Esc'], description: 'close' },
+    { scope: 'review', keys: REVIEW_VERDICTS.map((verdict, index) => String(index + 1)), description: 'verdict' },
+    { scope: 'review', keys: ['r'], description: 'replay' },
+    { scope: 'anywhere', keys: ['Ctrl +', 'Ctrl −'], description: 'fontSize' },
+    { scope: 'anywhere', keys: ['?'], description: 'toggle' }
+];
+
+// Reviewer annotations keyed by the sample's real path, persisted to localStorage
+class AnnotationStore {
+    constructor(storageKey = 'reviewAnnotations') {
+        this.storageKey = storageKey;
+        this.annotations = {};
+        this.load();
     }
 
-    stopAllExcept(currentAudio) {
-        this.playingAudios.forEach(audio => {
-            if (audio !== currentAudio && !audio.paused) {
-                audio.pause();
-                audio.currentTime = 0;
-                // Remove playing class from parent card
-                const card = audio.closest('.audio-card');
-                if (card) {
-                    card.classList.remove('playing');
-                }
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            const parsed = saved ? JSON.parse(saved) : {};
+            this.annotations = {};
+            // Entries saved by an older version may use verdicts that no longer exist
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                Object.entries(parsed).forEach(([path, annotation]) => {
+                    const checked = this.checkAnnotation(annotation);
+                    if (checked) this.annotations[path] = checked;
+                });
             }
-        });
-        this.playingAudios.clear();
-        if (currentAudio) {
-            this.playingAudios.add(currentAudio);
+        } catch (e) {
+            console.warn('Could not load review annotations:', e);
+            this.annotations = {};
         }
     }
 
-    registerAudio(audio) {
-        audio.addEventListener('play', () => {
-            this.stopAllExcept(audio);
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.annotations));
+        } catch (e) {
+            console.warn('Could not save review annotations:', e);
+        }
+    }
+
+    get(path) {
+        return this.annotations[path] || null;
+    }
+
+    // A stored or imported entry in the shape the store keeps, or null when its verdict is unknown
+    checkAnnotation(annotation) {
+        if (!annotation || typeof annotation !== 'object') return null;
+        if (annotation.verdict && !REVIEW_VERDICTS.some(verdict => verdict.id === annotation.verdict)) return null;
+        return {
+            verdict: annotation.verdict || null,
+            note: typeof annotation.note === 'string' ? annotation.note : '',
+            updatedAt: typeof annotation.updatedAt === 'string' ? annotation.updatedAt : new Date().toISOString()
+        };
+    }
+
+    update(path, changes) {
+        const annotation = { verdict: null, note: '', ...this.get(path), ...changes, updatedAt: new Date().toISOString() };
+        
+        // Drop entries that no longer carry any information
+        if (!annotation.verdict && !(typeof annotation.note === 'string' && annotation.note.trim())) {
+            delete this.annotations[path];
+        } else {
+            this.annotations[path] = annotation;
+        }
+        this.save();
+        return this.get(path);
+    }
+
+    setVerdict(path, verdict) {
+        return this.update(path, { verdict });
+    }
+
+    setNote(path, note) {
+        return this.update(path, { note });
+    }
+
+    summarize(paths) {
+        const summary = { reviewed: 0, notes: 0 };
+        REVIEW_VERDICTS.forEach(verdict => {
+            summary[verdict.id] = 0;
         });
         
-        audio.addEventListener('pause', () => {
-            this.playingAudios.delete(audio);
+        paths.forEach(path => {
+            const annotation = this.get(path);
+            if (!annotation) return;
+            if (annotation.verdict) {
+                summary.reviewed++;
+                summary[annotation.verdict]++;
+            }
+            if (annotation.note && annotation.note.trim()) {
+                summary.notes++;
+            }
         });
         
-        audio.addEventListener('ended', () => {
-            this.playingAudios.delete(audio);
+        return summary;
+    }
+
+    export() {
+        return {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            annotations: this.annotations
+        };
+    }
+
+    // Imported entries win unless the local copy was edited more recently
+    import(data) {
+        const incoming = data && data.annotations;
+        if (!incoming || typeof incoming !== 'object') {
+            throw new Error('Invalid annotations file');
+        }
+        
+        let imported = 0;
+        Object.entries(incoming).forEach(([path, annotation]) => {
+            const checked = this.checkAnnotation(annotation);
+            if (!checked) return;
+            const existing = this.get(path);
+            if (existing && existing.updatedAt && annotation.updatedAt && existing.updatedAt > annotation.updatedAt) return;
+            this.annotations[path] = checked;
+            imported++;
         });
+        
+        this.save();
+        return imported;
+    }
+
+    clear() {
+        this.annotations = {};
+        this.save();
     }
 }
 
 // Initialize the app when the page loads - Safari optimized
 document.addEventListener('DOMContentLoaded', () => {
-    // Add loading animation - Safari optimized
-    const loading = document.getElementById('loading');
-    if (loading) {
-        let dots = 0;
-        const interval = setInterval(() => {
-            dots = (dots + 1) % 4;
-            const loadingText = loading.querySelector('.loading-text');
-            if (loadingText) {
-                loadingText.textContent = 'Loading evaluation data' + '.'.repeat(dots);
-            }
-        }, 500);
-        
-        // Clear interval when data loads
-        const checkData = setInterval(() => {
-            if (document.querySelector('.audio-card')) {
-                clearInterval(interval);
-                clearInterval(checkData);
-            }
-        }, 100);
-    }
-
     // Initialize app with error handling
     try {
         new AudioEvaluationApp();
@@ -922,7 +5492,8 @@ document.addEventListener('DOMContentLoaded', () => {
             errorContainer.style.display = 'block';
             const errorText = errorContainer.querySelector('.error-text');
             if (errorText) {
-                errorText.textContent = 'Failed to initialize the application. Please refresh the page.';
+                // The page language is already set if the app got as far as loading its preferences
+                errorText.textContent = new Translator(document.documentElement.lang).t('error.init');
             }
         }
     }
@@ -0,0 +1,25 @@
+// Bootstrap resampling for the dashboard, kept off the main thread because it redoes the corpus sums
+// a thousand times per number. Uses the same metrics.js as the page and evaluate.js.
+//
+// Request:  { id, intervals: { wer, cer }, comparisons: [{ wer, cer }], options }
+//           intervals hold [{ errors, length }] per sample; comparisons hold [{ errorsA, errorsB, length }]
+// Response: { id, intervals: { wer, cer }, comparisons: [{ wer: { bootstrap, sign }, cer: { bootstrap, sign } }] }
+'use strict';
+
+importScripts('metrics.js');
+
+const { bootstrapErrorRate, pairedBootstrap, signTest } = self.EvaluationMetrics;
+
+self.addEventListener('message', (event) => {
+    const { id, intervals, comparisons, options } = event.data;
+    const compare = pairs => ({ bootstrap: pairedBootstrap(pairs, options), sign: signTest(pairs) });
+
+    self.postMessage({
+        id,
+        intervals: {
+            wer: bootstrapErrorRate(intervals.wer, options),
+            cer: bootstrapErrorRate(intervals.cer, options)
+        },
+        comparisons: comparisons.map(pairs => ({ wer: compare(pairs.wer), cer: compare(pairs.cer) }))
+    });
+});
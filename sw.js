@@ -0,0 +1,185 @@
+// Service worker that keeps the dashboard usable offline. script.js registers it when the page is
+// served over HTTP(S). The app shell and the bundled Arabic fonts are cached on install, web fonts as
+// they load. Results files use the network first and fall back to the last copy saved. Audio is saved
+// once it has been played.
+'use strict';
+
+// Bump when the shell files change shape, so the next visit drops the old copies
+const SHELL_CACHE = 'evaluation-shell-v3';
+const DATA_CACHE = 'evaluation-data';
+const AUDIO_CACHE = 'evaluation-audio';
+const FONT_CACHE = 'evaluation-fonts';
+
+const SHELL_FILES = [
+    './', 'index.html', 'style.css', 'metrics.js', 'i18n.js', 'script.js', 'stats-worker.js',
+    'fonts/AmiriQuran-Regular.woff2', 'fonts/ScheherazadeNew-Regular.woff2', 'fonts/NotoNaskhArabic-Regular.woff2'
+];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Played audio is kept up to this many files; the oldest go first
+const AUDIO_CACHE_LIMIT = 500;
+
+// Responses served from DATA_CACHE carry this header; the page reads it to say the results are not live
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('evaluation-shell-') && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    } else if (/\.(json|jsonl|ndjson)$/i.test(url.pathname)) {
+        event.respondWith(resultsResponse(event));
+    } else if (url.origin !== self.location.origin) {
+        return;
+    } else if (/\.wav$/i.test(url.pathname)) {
+        event.respondWith(audioResponse(request));
+    } else {
+        event.respondWith(shellResponse(request));
+    }
+});
+
+// The page posts { type: 'cache-audio', url } whenever an audio element starts playing
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    if (message.type === 'cache-audio' && message.url) {
+        event.waitUntil(cacheAudio(message.url).catch(error => console.warn('Could not cache audio:', message.url, error)));
+    }
+});
+
+// Fresh files whenever the server answers, so edits show up on reload; the cached copy only when it does not
+async function shellResponse(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Navigations carry ?results=, ?sample= and friends; any cached copy of the page will do
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const update = fetch(request)
+        .then(response => {
+            // Stylesheet links are no-cors, so Google's CSS comes back opaque with status 0
+            if (response.ok || response.type === 'opaque') {
+                return cache.put(request, response.clone()).then(() => response);
+            }
+            return response;
+        });
+
+    if (cached) {
+        update.catch(() => {});
+        return cached;
+    }
+    return update;
+}
+
+// The page gets the network response straight away so it can still stream it; the copy is saved alongside
+async function resultsResponse(event) {
+    const request = event.request;
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            event.waitUntil(saveResults(cache, request, response.clone()));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Saved copies are stamped with the time they were fetched, which the page shows while it uses them
+async function saveResults(cache, request, response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+    await cache.put(request, new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    }));
+}
+
+async function audioResponse(request) {
+    const cache = await caches.open(AUDIO_CACHE);
+    const cached = await cache.match(request.url);
+    if (!cached) return fetch(request);
+
+    const range = request.headers.get('Range');
+    return range ? rangeResponse(cached, range) : cached;
+}
+
+// Media elements ask for byte ranges to seek, and a cached response only holds the whole file
+async function rangeResponse(response, range) {
+    const body = await response.arrayBuffer();
+    const size = body.byteLength;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+    let start = NaN;
+    let end = size - 1;
+
+    if (match && match[1]) {
+        start = Number(match[1]);
+        if (match[2]) end = Math.min(Number(match[2]), size - 1);
+    } else if (match && match[2]) {
+        // "bytes=-500" is the last 500 bytes
+        start = Math.max(0, size - Number(match[2]));
+    }
+
+    if (isNaN(start) || start >= size || start > end) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+    }
+
+    return new Response(body.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || 'audio/wav',
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Content-Length': String(end - start + 1),
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+// The audio element itself fetched only a range, so the whole file is requested again to store it
+async function cacheAudio(url) {
+    const cache = await caches.open(AUDIO_CACHE);
+    if (await cache.match(url)) return;
+
+    const response = await fetch(url);
+    if (response.status !== 200) return;
+    await cache.put(url, response);
+
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - AUDIO_CACHE_LIMIT)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,64 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LANGUAGES, CATALOGS, detectLanguage, Translator } = require('../i18n.js');
+const { DIACRITIC_MARKS, NORMALIZATION_RULES } = require('../metrics.js');
+
+const placeholders = entry => {
+    const texts = typeof entry === 'object' ? Object.values(entry) : [entry];
+    return [...new Set(texts.flatMap(text => text.match(/\{\w+\}/g) || []))].sort();
+};
+
+test('every language has a catalog and every English string is translated', () => {
+    LANGUAGES.forEach(language => assert.ok(CATALOGS[language.id], language.id));
+    const missing = Object.keys(CATALOGS.en).filter(key => !(key in CATALOGS.ar));
+    assert.deepEqual(missing, []);
+});
+
+test('translations use the same placeholders as the English strings', () => {
+    Object.entries(CATALOGS.en).forEach(([key, entry]) => {
+        assert.deepEqual(placeholders(CATALOGS.ar[key]), placeholders(entry), key);
+    });
+});
+
+test('plural entries always have an "other" form', () => {
+    Object.values(CATALOGS).forEach(catalog => {
+        Object.entries(catalog).forEach(([key, entry]) => {
+            if (typeof entry === 'object') assert.equal(typeof entry.other, 'string', key);
+        });
+    });
+});
+
+test('Arabic names every normalization rule and diacritic mark', () => {
+    NORMALIZATION_RULES.forEach(rule => {
+        assert.ok(CATALOGS.ar[`rule.${rule.id}.label`], rule.id);
+        assert.ok(CATALOGS.ar[`rule.${rule.id}.description`], rule.id);
+    });
+    DIACRITIC_MARKS.forEach(mark => {
+        const code = mark.char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0');
+        assert.ok(CATALOGS.ar[`mark.${code}`], mark.name);
+    });
+});
+
+test('Translator fills placeholders and picks the Arabic plural form', () => {
+    const translator = new Translator('ar');
+    assert.equal(translator.dir, 'rtl');
+    assert.equal(translator.t('count.samples', { count: 1 }), 'عينة واحدة');
+    assert.equal(translator.t('count.samples', { count: 2 }), 'عينتان');
+    assert.equal(translator.t('count.samples', { count: 3 }), '3 عينات');
+    assert.equal(new Translator('en').t('pagination.page', { page: 2, total: 5 }), 'Page 2 of 5');
+});
+
+test('unknown languages and keys fall back to English and then to the key', () => {
+    const translator = new Translator('xx');
+    assert.equal(translator.language, 'en');
+    assert.equal(translator.dir, 'ltr');
+    assert.equal(translator.t('no.such.key'), 'no.such.key');
+});
+
+test('detectLanguage prefers the saved choice, then the browser languages', () => {
+    assert.equal(detectLanguage('ar', ['en-US']), 'ar');
+    assert.equal(detectLanguage(null, ['fr-FR', 'ar-EG']), 'ar');
+    assert.equal(detectLanguage('de', ['fr']), 'en');
+});
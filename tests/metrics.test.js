@@ -0,0 +1,233 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const {
+    TextNormalizer,
+    DiacriticAnalyzer,
+    tokenizeWords,
+    alignWords,
+    levenshteinDistance,
+    computeTextMetrics,
+    aggregateMetrics,
+    createSeededRandom,
+    bootstrapErrorRate,
+    pairedBootstrap,
+    signTest,
+    parseResults,
+    validateResults,
+    summarizeResults
+} = require('../metrics.js');
+
+const root = path.join(__dirname, '..');
+const results = JSON.parse(fs.readFileSync(path.join(root, 'evaluation_results_clean.json'), 'utf8'));
+
+test('tokenizeWords splits on any whitespace and ignores empty input', () => {
+    assert.deepEqual(tokenizeWords('  بِسْمِ\tٱللَّهِ\n ٱلرَّحْمَٰنِ  '), ['بِسْمِ', 'ٱللَّهِ', 'ٱلرَّحْمَٰنِ']);
+    assert.deepEqual(tokenizeWords(''), []);
+    assert.deepEqual(tokenizeWords(undefined), []);
+});
+
+test('levenshteinDistance counts combining marks as characters', () => {
+    assert.equal(levenshteinDistance('كتب', 'كتب'), 0);
+    assert.equal(levenshteinDistance('كَتَبَ', 'كتب'), 3);
+    assert.equal(levenshteinDistance('', 'سلام'), 4);
+});
+
+test('alignWords reports substitutions, insertions and deletions in order', () => {
+    const operations = alignWords('قل هو الله أحد', 'قل هو اللهم أحد الصمد');
+    assert.deepEqual(operations.map(op => op.type), ['equal', 'equal', 'substitute', 'equal', 'insert']);
+    assert.equal(operations[2].ref, 'الله');
+    assert.equal(operations[2].hyp, 'اللهم');
+});
+
+test('alignWords lines up a missing trailing word as a deletion', () => {
+    const operations = alignWords('الحمد لله رب العالمين', 'الحمد لله رب');
+    assert.deepEqual(operations.map(op => op.type), ['equal', 'equal', 'equal', 'delete']);
+});
+
+test('computeTextMetrics gives word and character error rates', () => {
+    const metrics = computeTextMetrics('الحمد لله رب العالمين', 'الحمد لله رب العلمين');
+    assert.equal(metrics.substitutions, 1);
+    assert.equal(metrics.refWords, 4);
+    assert.equal(metrics.wer, 0.25);
+    assert.equal(metrics.charErrors, 1);
+    assert.equal(metrics.cer, 1 / 'الحمد لله رب العالمين'.length);
+});
+
+test('computeTextMetrics leaves WER undefined for an empty reference and lets it exceed 100%', () => {
+    assert.equal(computeTextMetrics('', 'كلمة').wer, null);
+    assert.equal(computeTextMetrics('', '').cer, null);
+    assert.equal(computeTextMetrics('نور', 'نور على نور').wer, 2);
+    assert.equal(computeTextMetrics('نور على نور', '').wer, 1);
+});
+
+test('aggregateMetrics weights samples by reference length instead of averaging rates', () => {
+    const corpus = aggregateMetrics([
+        computeTextMetrics('ا ب ج د', 'ا ب ج د'),
+        computeTextMetrics('هـ', 'و')
+    ]);
+    assert.equal(corpus.wordErrors, 1);
+    assert.equal(corpus.refWords, 5);
+    assert.equal(corpus.wer, 0.2);
+    assert.equal(aggregateMetrics([]).wer, null);
+});
+
+test('default normalization unifies alef forms, alef maksura and tatweel', () => {
+    const normalizer = new TextNormalizer();
+    assert.equal(normalizer.normalize('ٱلْكِتَـٰبُ'), normalizer.normalize('الْكِتَٰبُ'));
+    assert.equal(normalizer.normalize('أإآٱ'), 'اااا');
+    assert.equal(normalizer.normalize('عَلَى'), 'عَلَي');
+});
+
+test('default normalization orders stacked marks and maps Uthmani sukun', () => {
+    const normalizer = new TextNormalizer();
+    // shadda + kasra and kasra + shadda are the same letter
+    assert.equal(normalizer.normalize('رَب\u0651\u0650'), normalizer.normalize('رَب\u0650\u0651'));
+    assert.equal(normalizer.normalize('ٱلْحَمْدُ'), normalizer.normalize('ٱلۡحَمۡدُ'));
+    assert.equal(normalizer.normalize('مِنْ'), normalizer.normalize('مِن۟'));
+});
+
+test('default normalization strips pause marks and collapses the whitespace they leave', () => {
+    const normalizer = new TextNormalizer();
+    assert.equal(normalizer.normalize('لَا رَيْبَ ۛ فِيهِ ۛ هُدًى'), normalizer.normalize('لَا رَيْبَ فِيهِ هُدًى'));
+    assert.equal(normalizer.normalize('ذَٰلِكَ ٱلْكِتَٰبُ ۖ'), normalizer.normalize('ذَٰلِكَ ٱلْكِتَٰبُ'));
+});
+
+test('tanween iqlab meem and open tanween fold into plain tanween', () => {
+    const normalizer = new TextNormalizer();
+    assert.equal(normalizer.normalize('سَمِيعًۢا بَصِيرًا'), normalizer.normalize('سَمِيعًا بَصِيرًا'));
+    assert.equal(normalizer.normalize('هُدٗى'), normalizer.normalize('هُدًى'));
+});
+
+test('hamza and diacritic rules are opt-in', () => {
+    const normalizer = new TextNormalizer();
+    assert.notEqual(normalizer.normalize('مُؤْمِن'), normalizer.normalize('مُومِن'));
+
+    const lenient = new TextNormalizer([...normalizer.getEnabledRuleIds(), 'hamza', 'diacritics']);
+    assert.equal(lenient.normalize('مُؤْمِنٌ'), 'مومن');
+    assert.equal(lenient.normalize('شَيْءٌ'), 'شي');
+});
+
+test('raw comparison counts an orthographic variant as a word error that normalization removes', () => {
+    const reference = 'أُو۟لَـٰٓئِكَ عَلَىٰ هُدًۭى';
+    const hypothesis = 'أُوْلَٰٓئِكَ عَلَىٰ هُدًى';
+    assert.equal(computeTextMetrics(reference, hypothesis).wordErrors, 2);
+
+    const normalizer = new TextNormalizer();
+    assert.equal(computeTextMetrics(normalizer.normalize(reference), normalizer.normalize(hypothesis)).wordErrors, 0);
+});
+
+test('DiacriticAnalyzer separates letter errors from diacritic errors', () => {
+    const analyzer = new DiacriticAnalyzer();
+    const sameSkeleton = analyzer.analyze('كَتَبَ', 'كُتِبَ');
+    assert.equal(sameSkeleton.letterErrors, 0);
+    assert.equal(sameSkeleton.comparedLetters, 3);
+    assert.equal(sameSkeleton.diacriticErrors, 2);
+    assert.equal(sameSkeleton.confusions['َ']['ُ'], 1);
+
+    const missingLetter = analyzer.analyze('قَالَ', 'قَلَ');
+    assert.equal(missingLetter.letterErrors, 1);
+    assert.equal(missingLetter.diacriticErrors, 0);
+});
+
+test('DiacriticAnalyzer ignores the stacking order of marks', () => {
+    const analyzer = new DiacriticAnalyzer();
+    const result = analyzer.analyze('رَب\u0651\u0650', 'رَب\u0650\u0651');
+    assert.equal(result.diacriticErrors, 0);
+    assert.equal(analyzer.combine([result]).diacriticErrorRate, 0);
+});
+
+test('createSeededRandom repeats its sequence for the same seed', () => {
+    const first = createSeededRandom(42);
+    const second = createSeededRandom(42);
+    const values = Array.from({ length: 5 }, () => first());
+    assert.deepEqual(values, Array.from({ length: 5 }, () => second()));
+    assert.ok(values.every(value => value >= 0 && value < 1));
+    assert.notDeepEqual(values, Array.from({ length: 5 }, createSeededRandom(43)));
+});
+
+test('bootstrapErrorRate brackets the corpus rate and is reproducible', () => {
+    const samples = [0, 1, 2, 0, 3, 1, 0, 4, 2, 1].map(errors => ({ errors, length: 10 }));
+    const interval = bootstrapErrorRate(samples, { iterations: 500, seed: 7 });
+    assert.equal(interval.estimate, 0.14);
+    assert.ok(interval.lower < interval.estimate && interval.estimate < interval.upper);
+    assert.deepEqual(bootstrapErrorRate(samples, { iterations: 500, seed: 7 }), interval);
+
+    // Every sample at the same rate leaves nothing to vary
+    const flat = bootstrapErrorRate([{ errors: 1, length: 4 }, { errors: 2, length: 8 }], { iterations: 200 });
+    assert.equal(flat.lower, 0.25);
+    assert.equal(flat.upper, 0.25);
+    assert.equal(bootstrapErrorRate([]).lower, null);
+});
+
+test('pairedBootstrap and signTest flag a consistent improvement but not identical runs', () => {
+    const improved = Array.from({ length: 12 }, (_, index) => ({ errorsA: 3 + (index % 3), errorsB: 1 + (index % 2), length: 20 }));
+    const paired = pairedBootstrap(improved, { iterations: 500 });
+    assert.ok(paired.difference < 0);
+    assert.ok(paired.upper < 0);
+    assert.ok(paired.pValue < 0.05);
+
+    const same = pairedBootstrap(improved.map(pair => ({ ...pair, errorsB: pair.errorsA })), { iterations: 200 });
+    assert.equal(same.difference, 0);
+    assert.equal(same.pValue, 1);
+
+    const sign = signTest(improved);
+    assert.deepEqual([sign.better, sign.worse, sign.ties], [12, 0, 0]);
+    assert.ok(Math.abs(sign.pValue - 2 / 4096) < 1e-12);
+    assert.equal(signTest([{ errorsA: 1, errorsB: 0 }, { errorsA: 0, errorsB: 1 }, { errorsA: 2, errorsB: 2 }]).pValue, 1);
+    assert.equal(signTest([]).pValue, 1);
+});
+
+test('summarizeResults reproduces the WER reported in the sample results file', () => {
+    const summary = summarizeResults(results);
+    assert.equal(summary.samples, results.results.length);
+    assert.ok(Math.abs(summary.raw.wer - results.overall_wer) < 1e-9);
+    assert.ok(summary.normalized.wer < summary.raw.wer);
+    assert.deepEqual(summary.normalizationRules, new TextNormalizer().getEnabledRuleIds());
+});
+
+test('evaluate.js prints the same summary as JSON', () => {
+    const output = execFileSync(process.execPath, [path.join(root, 'evaluate.js'), path.join(root, 'evaluation_results_clean.json'), '--format', 'json'], { encoding: 'utf8' });
+    const printed = JSON.parse(output);
+    const { confusions, ...rawDiacritics } = new DiacriticAnalyzer().combine([]);
+    assert.equal(printed.samples, results.results.length);
+    assert.equal(printed.raw.wer, summarizeResults(results).raw.wer);
+    assert.deepEqual(Object.keys(printed.raw.diacritics).sort(), Object.keys(rawDiacritics).sort());
+});
+
+const invalidJsonLines = [
+    '{"model_checkpoint": "epoch=3.ckpt", "samples_evaluated": 3}',
+    '{"path": "audio/sample_00001.wav", "ground_truth": "قال ربي", "prediction": null}',
+    '{"path": "audio/sample_00002.wav", "ground_truth": "قال ربي", "prediction": "قال"',
+    '{"path": "audio/sample_00003.wav", "ground_truth": "قال ربي", "prediction": "قال"}'
+].join('\n');
+
+test('validateResults keeps going past malformed lines and rejects entries without a prediction', () => {
+    const { data, parser } = parseResults(invalidJsonLines, { jsonLines: true });
+    const { info, results, validator } = validateResults(data, parser);
+    assert.equal(info.model_checkpoint, 'epoch=3.ckpt');
+    assert.deepEqual(results.map(entry => entry.path), ['audio/sample_00003.wav']);
+    assert.equal(validator.rejected, 2);
+    assert.deepEqual(validator.issues.filter(issue => issue.severity === 'error').map(issue => issue.location), ['line 2: prediction', 'line 3']);
+});
+
+test('evaluate.js summarizes only the entries the dashboard accepts', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'evaluate-'));
+    const file = path.join(directory, 'run.jsonl');
+    let output;
+    try {
+        fs.writeFileSync(file, invalidJsonLines);
+        output = execFileSync(process.execPath, [path.join(root, 'evaluate.js'), file, '--format', 'json'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+    const printed = JSON.parse(output);
+    assert.equal(printed.samples, 1);
+    assert.equal(printed.rejected, 2);
+    assert.equal(printed.raw.wer, 0.5);
+});